@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, accountAccessError } = require('../utils/sessions');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -9,12 +9,27 @@ module.exports = (req, res, next) => {
     return res.status(401).json({ error: 'No token, authorization denied' });
   }
 
-  // Verify token
+  // Verify token and make sure its session has not been revoked
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (err) {
-    res.status(401).json({ error: 'Token is not valid' });
+    return res.status(401).json({ error: 'Token is not valid' });
   }
-};
\ No newline at end of file
+
+  // Suspended and banned accounts are locked out
+  let denied;
+  try {
+    denied = await accountAccessError(decoded.userId);
+  } catch (err) {
+    return next(err);
+  }
+  if (denied) {
+    const { status, ...body } = denied;
+    return res.status(status).json(body);
+  }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sessionId;
+  next();
+};
@@ -0,0 +1,24 @@
+const { codeForStatus, errorBody, toApiError } = require('../utils/errors');
+
+// Give hand-built error responses ({ error } with a 4xx/5xx status) the
+// code from their status, so every failure has the same shape
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: codeForStatus(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// The last middleware: answer anything passed to next(err) or thrown in a
+// route with the error envelope (see utils/errors.js)
+function errorHandler(err, req, res, next) {
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error(err);
+  res.status(apiError.status).json(errorBody(apiError.message, apiError.code, apiError.fields));
+}
+
+module.exports = { errorEnvelope, errorHandler };
@@ -0,0 +1,19 @@
+const { verifyAccessToken, accountAccessError } = require('../utils/sessions');
+
+// Like auth, but lets anonymous requests through.
+// Sets req.userId only when a valid token is present (and the account isn't suspended).
+module.exports = async (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) return next();
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    if (!(await accountAccessError(decoded.userId))) {
+      req.userId = decoded.userId;
+      req.sessionId = decoded.sessionId;
+    }
+  } catch (err) {
+    // Invalid token on a public route: treat as anonymous
+  }
+  next();
+};
@@ -0,0 +1,14 @@
+const { consume } = require('../utils/rateLimits');
+
+// Reject requests over limit `name` (see utils/rateLimits.js) with 429 and a
+// Retry-After header. Per-user buckets need req.userId, so use it after auth.
+module.exports = (name) => async (req, res, next) => {
+  const limited = await consume(name, { ip: req.ip, userId: req.userId });
+  if (!limited) return next();
+  res.set('Retry-After', String(limited.retryAfter));
+  res.status(429).json({
+    error: 'Too many requests, please try again later',
+    code: 'RATE_LIMITED',
+    retryAfter: limited.retryAfter
+  });
+};
@@ -0,0 +1,15 @@
+const User = require('../models/User');
+
+// Only let users with one of `roles` through (use after auth). Sets req.userRole.
+module.exports = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role');
+    if (!user || !roles.includes(user.role)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    req.userRole = user.role;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,104 @@
+const multer = require('multer');
+const { getStorage } = require('../storage');
+const deleteMedia = require('../utils/deleteMedia');
+const { validationError } = require('../utils/errors');
+const validate = require('./validate');
+
+const storage = getStorage();
+
+// Photos, stories and profile pictures
+const upload = multer({
+  storage: storage.multerEngine({
+    folder: 'photos',
+    allowedFormats: ['jpg', 'jpeg', 'png', 'gif'],
+    prefix: 'photo'
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// Chat attachments: limits per kind of file
+const CHAT_ATTACHMENT_KINDS = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    maxSize: 5 * 1024 * 1024 // 5MB
+  },
+  audio: {
+    mimeTypes: ['audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/x-m4a', 'audio/wav'],
+    maxSize: 10 * 1024 * 1024, // 10MB
+    maxDuration: 120 // seconds
+  }
+};
+
+function attachmentKind(mimetype) {
+  return Object.keys(CHAT_ATTACHMENT_KINDS)
+    .find(kind => CHAT_ATTACHMENT_KINDS[kind].mimeTypes.includes(mimetype)) || null;
+}
+
+const chatUpload = multer({
+  storage: storage.multerEngine({
+    folder: 'chat',
+    allowedFormats: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'webm', 'ogg', 'mp3', 'm4a', 'aac', 'wav'],
+    prefix: 'attachment',
+    resourceType: 'auto'
+  }),
+  // Per-kind size limits are checked after upload; this is the overall cap
+  limits: { fileSize: Math.max(...Object.values(CHAT_ATTACHMENT_KINDS).map(k => k.maxSize)), files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!attachmentKind(file.mimetype)) {
+      const err = new Error(`Unsupported attachment type: ${file.mimetype}`);
+      err.status = 400;
+      return callback(err);
+    }
+    callback(null, true);
+  }
+});
+
+// Wrap a multer middleware so rejected uploads get a 400 instead of the generic 500
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError || (err && err.status === 400)) {
+      return res.status(400).json({ error: `Upload rejected: ${err.message}`, code: 'UPLOAD_REJECTED' });
+    }
+    next(err);
+  });
+};
+
+// Delete files that were stored for a request that then failed
+async function rollbackUploads(files) {
+  await deleteMedia(files.filter(Boolean).map(file => file.filename));
+}
+
+// Every file multer stored for the request (single, array or fields)
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+// validate() for multipart requests. It goes after the upload middleware,
+// since that is what parses the fields, and also requires a file in one of
+// `fileFields`. A request that fails has its stored files deleted again.
+const validateUpload = (schemas, fileFields = []) => {
+  const check = validate(schemas);
+  return (req, res, next) => check(req, res, async (err) => {
+    const files = uploadedFiles(req);
+    const fields = err ? { ...err.fields } : {};
+    if (files.length === 0) {
+      fileFields.forEach(field => { fields[`files.${field}`] = 'No file uploaded'; });
+    }
+    if (Object.keys(fields).length === 0) return next();
+
+    await rollbackUploads(files);
+    next(validationError(fields));
+  });
+};
+
+module.exports = {
+  upload,
+  chatUpload,
+  handleUpload,
+  validateUpload,
+  rollbackUploads,
+  attachmentKind,
+  CHAT_ATTACHMENT_KINDS
+};
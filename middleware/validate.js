@@ -0,0 +1,21 @@
+const { zodFields, validationError } = require('../utils/errors');
+
+// Check the request against Zod schemas for any of body, params and query
+// (see utils/schemas.js). The parsed values (trimmed, defaults filled in)
+// replace the raw ones; a request that doesn't match gets a 400 with
+// VALIDATION_FAILED and a message per field.
+module.exports = (schemas) => (req, res, next) => {
+  const fields = {};
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    const result = schemas[part].safeParse(req[part] === undefined ? {} : req[part]);
+    if (!result.success) {
+      Object.assign(fields, zodFields(result.error, part));
+      continue;
+    }
+    // req.query is a getter in Express 5
+    Object.defineProperty(req, part, { value: result.data, writable: true, configurable: true, enumerable: true });
+  }
+  if (Object.keys(fields).length > 0) return next(validationError(fields));
+  next();
+};
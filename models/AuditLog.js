@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A record of a moderator or admin action, kept for accountability
+// (see utils/moderation.js and routes/admin.js)
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'report.dismiss', 'content.hide', 'content.delete',
+      'user.warn', 'user.suspend', 'user.ban', 'user.unsuspend', 'user.role',
+      'push.revoke'
+    ],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['photo', 'comment', 'message', 'user'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The user the action was about (the author of the content)
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  note: String,
+  // Action specific, e.g. { suspendedUntil } for a suspension
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
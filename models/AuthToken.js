@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Single-use token for email verification or password reset.
+// Only a hash of the token is stored; the raw value is only ever emailed.
+const AuthTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete once expired
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
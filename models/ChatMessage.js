@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const Conversation = require('./Conversation');
+
+// Image or voice note attached to a message
+const AttachmentSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['image', 'audio'], required: true },
+  url: { type: String, required: true },
+  key: { type: String, required: true }, // storage key, used to delete the file
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  duration: Number // seconds, audio only
+}, { _id: false });
 
 const ChatMessageSchema = new mongoose.Schema({
   sender: {
@@ -6,21 +19,58 @@ const ChatMessageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Direct messages only; group messages are addressed through `conversation`
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    index: true
   },
+  // Text is optional when the message carries an attachment
   message: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    default: '',
+    validate: {
+      validator: function (value) {
+        return Boolean(value) || Boolean(this.attachment && this.attachment.url);
+      },
+      message: 'A message needs text or an attachment'
+    }
+  },
+  attachment: {
+    type: AttachmentSchema,
+    default: null
   },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ChatMessage',
     default: null
   },
+  // Set on notices like "alice added bob"; the sender is the user who acted
+  system: {
+    type: {
+      _id: false,
+      action: {
+        type: String,
+        enum: ['created', 'renamed', 'avatar_changed', 'retention_changed', 'member_added', 'member_removed', 'member_left', 'admin_added', 'admin_removed'],
+        required: true
+      },
+      targets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      retention: String // retention_changed only
+    },
+    default: null
+  },
+  // Set when the message is a reply to a story
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
   delivered: {
     type: Boolean,
     default: false
@@ -41,10 +91,83 @@ const ChatMessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // One emoji per user; sent to clients aggregated (see toJSON below)
+  reactions: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    emoji: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
   createdAt: {
     type: Date,
-    default: Date.now,
-    index: { expires: '24h' } // Auto‑delete after 24 hours
+    default: Date.now
+  },
+  // Set from the conversation's retention when the message is sent; for
+  // delete-after-read messages, once everyone it was sent to has read it
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: { expireAfterSeconds: 0 } // MongoDB deletes it after this time
+  },
+  deleteAfterRead: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a moderator hides it (see utils/moderation.js)
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Direct messages are filed under the pair's conversation, created on first use.
+// The conversation's retention setting decides when the message expires.
+ChatMessageSchema.pre('save', async function () {
+  if (!this.isNew) return;
+  let conversation = null;
+  if (this.conversation) {
+    conversation = await Conversation.findById(this.conversation).select('retention');
+  } else if (this.receiver) {
+    conversation = await Conversation.findOrCreateDirect(this.sender, this.receiver);
+    this.conversation = conversation._id;
+  }
+  if (conversation && !this.expiresAt) {
+    this.expiresAt = Conversation.expiryFor(conversation.retention, this.createdAt);
+    this.deleteAfterRead = conversation.retention === 'after_read';
+  }
+});
+
+// The TTL monitor only runs about once a minute, so reads filter on the deadline too
+ChatMessageSchema.statics.notExpired = function () {
+  return { expiresAt: { $not: { $lte: new Date() } } };
+};
+
+// Messages shown in chat history: not expired and not hidden by a moderator
+ChatMessageSchema.statics.visible = function () {
+  return { ...this.notExpired(), hiddenAt: null };
+};
+
+ChatMessageSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+// [{ user, emoji }] -> [{ emoji, count, users }], most used first
+ChatMessageSchema.statics.aggregateReactions = function (reactions = []) {
+  const byEmoji = new Map();
+  reactions.forEach(({ user, emoji }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(user);
+  });
+  return [...byEmoji.entries()]
+    .map(([emoji, users]) => ({ emoji, count: users.length, users }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Clients get reactions aggregated rather than one row per user
+ChatMessageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.reactions = doc.constructor.aggregateReactions(ret.reactions);
+    return ret;
   }
 });
 
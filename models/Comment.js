@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Parsed from the text on save (see utils/entities.js)
+  hashtags: {
+    type: [String],
+    index: true
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Top-level comment this is a reply to. Replies are one level deep only,
+  // so a reply to a reply is attached to the same top-level comment.
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  repliesCount: {
+    type: Number,
+    default: 0
+  },
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a moderator hides it (see utils/moderation.js); from then on
+  // only its author sees it
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+CommentSchema.index({ photo: 1, parent: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const MAX_GROUP_MEMBERS = 50;
+
+// How long new messages are kept (null = until deleted, or until read for after_read)
+const RETENTION_OPTIONS = {
+  forever: null,
+  '24h': 24 * 60 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  after_read: null
+};
+
+const ConversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // Sorted "<userId>-<userId>" pair, so two people share exactly one direct conversation
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Groups only
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  // Applies to messages sent after it is set; each message keeps its own deadline
+  retention: {
+    type: String,
+    enum: Object.keys(RETENTION_OPTIONS),
+    default: '24h'
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Members who muted the conversation; `until` null means until unmuted
+  mutes: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    until: { type: Date, default: null }
+  }],
+  // How far each member has read, and when members added to a group joined
+  // (they only see messages from then on; null for the creator and older entries)
+  readState: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastReadAt: { type: Date, default: Date.now },
+    joinedAt: { type: Date, default: null }
+  }],
+  lastMessageAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, { timestamps: true });
+
+ConversationSchema.statics.directKey = function (userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join('-');
+};
+
+ConversationSchema.methods.isMutedBy = function (userId, at = new Date()) {
+  return this.mutes.some(m =>
+    m.user.toString() === userId.toString() && (!m.until || m.until > at)
+  );
+};
+
+// Who muted a conversation is private to them; the list route reports your own
+ConversationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.mutes;
+    return ret;
+  }
+});
+
+// When a message sent at `sentAt` under `retention` should expire (null = no deadline yet)
+ConversationSchema.statics.expiryFor = function (retention, sentAt = new Date()) {
+  const ttl = RETENTION_OPTIONS[retention];
+  return ttl ? new Date(sentAt.getTime() + ttl) : null;
+};
+
+// The direct conversation between two users, created on first use
+ConversationSchema.statics.findOrCreateDirect = async function (userIdA, userIdB) {
+  const directKey = this.directKey(userIdA, userIdB);
+  try {
+    return await this.findOneAndUpdate(
+      { directKey },
+      { $setOnInsert: { type: 'direct', directKey, members: [userIdA, userIdB] } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (err) {
+    // Two first messages raced: the other upsert won
+    if (err.code === 11000) return this.findOne({ directKey });
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
+module.exports.MAX_GROUP_MEMBERS = MAX_GROUP_MEMBERS;
+module.exports.RETENTION_OPTIONS = RETENTION_OPTIONS;
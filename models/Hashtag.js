@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One row per hashtag, used for autocomplete. `count` is the number of
+// captions and comments currently using the tag.
+const HashtagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Hashtag', HashtagSchema);
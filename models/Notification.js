@@ -6,28 +6,66 @@ const NotificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The most recent actor; `actors` holds everyone grouped into this notification.
+  // Moderation notices have no sender.
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () { return this.type !== 'moderation'; }
   },
+  // Most recent first, e.g. everyone who liked the photo
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   type: {
     type: String,
-    enum: ['like', 'comment', 'follow'],
+    enum: ['like', 'comment', 'reply', 'mention', 'follow', 'follow_request', 'follow_accept', 'moderation'],
     required: true
   },
   photo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Photo'
   },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // What a moderator did, for type 'moderation'
+  moderation: {
+    type: {
+      _id: false,
+      action: { type: String, enum: ['hidden', 'warned', 'suspended', 'banned'], required: true },
+      targetType: { type: String, enum: ['photo', 'comment', 'message', 'user'] },
+      reason: String
+    },
+    default: undefined
+  },
   read: {
     type: Boolean,
     default: false
   },
+  // For grouped types (see utils/notifications.js), e.g. "like:<photoId>";
+  // at most one unread notification per recipient has a given key
+  groupKey: {
+    type: String,
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // When the last actor was added; lists are sorted by this
+  latestAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+NotificationSchema.index({ recipient: 1, latestAt: -1, _id: -1 });
+NotificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false, groupKey: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
@@ -1,33 +1,106 @@
 // models/Photo.js
 const mongoose = require('mongoose');
 
+const MAX_MEDIA_ITEMS = 10;
+
+// One image in a (possibly multi-image) post
+const MediaSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    default: null
+  },
+  alt: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
 const PhotoSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // URL of the first media item, kept for clients that only know single-image posts
   imageUrl: {
     type: String,
     required: true
   },
+  media: {
+    type: [MediaSchema],
+    validate: {
+      validator: (items) => items.length <= MAX_MEDIA_ITEMS,
+      message: `A post can have at most ${MAX_MEDIA_ITEMS} images`
+    }
+  },
   caption: {
     type: String,
     default: ''
   },
-  likes: [{
+  // Parsed from the text on save (see utils/entities.js)
+  hashtags: {
+    type: [String],
+    index: true
+  },
+  mentions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    text: String,
-    createdAt: { type: Date, default: Date.now }
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }],
+  // Comments live in their own collection (models/Comment.js)
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Copy of the author's isPrivate, so the public feed can leave out private
+  // accounts without listing them (see globalFeedFilter in utils/feed.js)
+  ownerPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a moderator hides it (see utils/moderation.js); from then on
+  // only its author sees it
+  hiddenAt: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Photo', PhotoSchema);
\ No newline at end of file
+// Posts created before carousels only have imageUrl: expose it as a one-item media array
+PhotoSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if ((!ret.media || ret.media.length === 0) && ret.imageUrl) {
+      ret.media = [{ url: ret.imageUrl, publicId: null, alt: '', width: null, height: null }];
+    }
+    return ret;
+  }
+});
+
+// The public feed: public accounts' posts, newest first
+PhotoSchema.index({ ownerPrivate: 1, createdAt: -1, _id: -1 });
+
+// Full-text search over captions (see utils/search.js)
+PhotoSchema.index({ caption: 'text' }, { name: 'photo_search' });
+
+module.exports = mongoose.model('Photo', PhotoSchema);
+module.exports.MAX_MEDIA_ITEMS = MAX_MEDIA_ITEMS;
\ No newline at end of file
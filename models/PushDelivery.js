@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One attempt to send a push to a subscription, kept for a month
+const PushDeliverySchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PushOutbox'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PushSubscription'
+  },
+  // The push service host only; the full endpoint is a credential
+  service: String,
+  // sent: accepted by the push service
+  // retry: failed, will be tried again
+  // failed: failed for good (or out of attempts)
+  // expired: its TTL passed before it could be sent
+  // pruned: the subscription is gone (404/410) and was deleted
+  status: {
+    type: String,
+    enum: ['sent', 'retry', 'failed', 'expired', 'pruned'],
+    required: true
+  },
+  attempt: Number,
+  statusCode: Number,
+  error: String,
+  title: String,
+  topic: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: '30d' }
+  }
+});
+
+PushDeliverySchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('PushDelivery', PushDeliverySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A web push waiting to be sent to one subscription. The worker in
+// utils/pushOutbox.js deletes the job once it is sent or given up on; the
+// outcome of every attempt is kept in PushDelivery.
+const PushOutboxSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PushSubscription',
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Delivery hints for the push service
+  options: {
+    TTL: Number, // seconds the push service keeps trying to deliver it
+    urgency: {
+      type: String,
+      enum: ['very-low', 'low', 'normal', 'high']
+    },
+    topic: String // a newer push with the same topic replaces an undelivered one
+  },
+  // Held back during the recipient's quiet hours
+  held: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Not worth sending after this (when it became sendable, plus its TTL)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set while a worker is sending it; a crashed worker's claim lapses
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PushOutbox', PushOutboxSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A fixed-window rate limit counter (see rateLimit/mongo.js), keyed by
+// limit and client, e.g. "login:ip:203.0.113.7"
+const RateLimitCounterSchema = new mongoose.Schema({
+  _id: String,
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, { versionKey: false });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
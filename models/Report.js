@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['photo', 'comment', 'message', 'user'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'nudity', 'violence', 'self_harm', 'impersonation', 'other'];
+
+// One user's report
+const ReportEntrySchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Everything reported about one photo, comment, message or account. Reports
+// of the same target collect in one open case until a moderator resolves it.
+const ReportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Who posted the content (or the reported account itself)
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reports: [ReportEntrySchema],
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastReportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: {
+      _id: false,
+      action: { type: String, enum: ['dismissed', 'hidden', 'warned', 'suspended'], required: true },
+      moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      note: String,
+      resolvedAt: { type: Date, default: Date.now }
+    },
+    default: null
+  }
+}, { timestamps: true });
+
+// At most one open case per target
+ReportSchema.index(
+  { targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+ReportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+
+// The reason given most often
+ReportSchema.methods.topReason = function () {
+  const counts = {};
+  this.reports.forEach(({ reason }) => { counts[reason] = (counts[reason] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+};
+
+module.exports = mongoose.model('Report', ReportSchema);
+module.exports.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+module.exports.REPORT_REASONS = REPORT_REASONS;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One login session per device. Holds the hash of the current refresh token;
+// access tokens carry the session id so revoking the session kills them too.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, used to detect replay of a stolen token
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Mongo drops the session once the refresh token expires
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Session', SessionSchema);
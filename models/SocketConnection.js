@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One open Socket.IO connection, for presence shared between server instances
+// (see realtime/mongo.js). Each instance refreshes lastSeenAt for its own
+// connections, so those of an instance that crashed expire on their own.
+const SocketConnectionSchema = new mongoose.Schema({
+  socketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The server instance holding the connection
+  node: {
+    type: String,
+    required: true,
+    index: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: '2m' }
+  }
+});
+
+module.exports = mongoose.model('SocketConnection', SocketConnectionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const STORY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Ephemeral photo post. Expired stories are removed by utils/storyCleanup.js
+// (not a TTL index) so their stored media can be deleted along with them.
+const StorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  media: {
+    url: { type: String, required: true },
+    publicId: { type: String, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null }
+  },
+  caption: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + STORY_TTL_MS),
+    index: true
+  }
+});
+
+StorySchema.index({ user: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Story', StorySchema);
+module.exports.STORY_TTL_MS = STORY_TTL_MS;
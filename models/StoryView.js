@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Records that a user has seen a story (one row per story and viewer)
+const StoryViewSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StoryViewSchema.index({ story: 1, viewer: 1 }, { unique: true });
+
+module.exports = mongoose.model('StoryView', StoryViewSchema);
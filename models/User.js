@@ -8,6 +8,12 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     minlength: 3
   },
+  // Lowercased copy of username for case-insensitive prefix search
+  usernameLower: {
+    type: String,
+    index: true,
+    select: false
+  },
   email: {
     type: String,
     required: true,
@@ -15,6 +21,10 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
     required: true,
@@ -24,10 +34,69 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage key of the picture uploaded through POST /api/users/profile-pic.
+  // Only this file is ever deleted when the picture changes, never whatever
+  // URL profilePic happens to hold.
+  profilePicKey: {
+    type: String,
+    default: null,
+    select: false
+  },
   bio: {
     type: String,
     default: ''
   },
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Moderators work the report queue (see routes/moderation.js); admins
+  // also manage accounts (see routes/admin.js)
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Set by a moderator; the account can't log in until then
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set by an admin; the account is locked out until an admin lifts it
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null
+  },
+  // Lets followers and chat partners see when you're online or were last active
+  showActivityStatus: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  // See utils/notificationPrefs.js
+  notificationSettings: {
+    // type -> { inApp, push }; types not listed use the defaults
+    types: {
+      type: Map,
+      of: new mongoose.Schema({ inApp: Boolean, push: Boolean }, { _id: false }),
+      default: {}
+    },
+    // Pushes in this window (in the user's time zone) are held until it ends, or dropped
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '07:00' },
+      timezone: { type: String, default: 'UTC' },
+      action: { type: String, enum: ['hold', 'drop'], default: 'hold' }
+    }
+  },
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -43,7 +112,29 @@ const UserSchema = new mongoose.Schema({
   receivedRequests: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  muted: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }]
 }, { timestamps: true });
 
+UserSchema.pre('validate', function () {
+  if (this.isModified('username')) this.usernameLower = this.username.toLowerCase();
+});
+
+UserSchema.methods.isSuspended = function () {
+  return Boolean(this.suspendedUntil && this.suspendedUntil > new Date());
+};
+
+// Full-text search (see utils/search.js); a username hit counts for more than a bio hit
+UserSchema.index(
+  { username: 'text', bio: 'text' },
+  { name: 'user_search', weights: { username: 10, bio: 2 }, default_language: 'none' }
+);
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
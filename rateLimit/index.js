@@ -0,0 +1,29 @@
+// Counter store for rate limits, chosen with RATE_LIMIT_STORE=memory|mongo.
+//   memory (default)  counters live in this process; each instance limits
+//                     on its own
+//   mongo             counters are shared through MongoDB, so limits hold
+//                     across any number of instances
+//
+// Counters are fixed windows. Every driver exposes:
+//   hit(key, windowMs)  count one hit; starts a new window if there is none
+//                       or it ended. Resolves to { count, resetAt }.
+//   get(key)            resolves to { count, resetAt } for a window still
+//                       running, or null
+//   reset(key)          forget the counter
+const drivers = {
+  memory: () => require('./memory')(),
+  mongo: () => require('./mongo')()
+};
+
+let store = null;
+
+function getRateLimitStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!drivers[name]) throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    store = drivers[name]();
+  }
+  return store;
+}
+
+module.exports = { getRateLimitStore };
@@ -0,0 +1,42 @@
+// Rate limit counters in a Map, swept of ended windows once a minute
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+module.exports = function createMemoryStore() {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  const running = (key) => {
+    const entry = windows.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      let entry = running(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async get(key) {
+      const entry = running(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
@@ -0,0 +1,43 @@
+// Rate limit counters shared through MongoDB (the RateLimitCounter
+// collection). Each hit is a single atomic upsert; Mongo's TTL monitor
+// removes ended windows.
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+module.exports = function createMongoStore() {
+  async function hit(key, windowMs) {
+    const now = new Date();
+    const running = { $gt: ['$resetAt', now] };
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            count: { $cond: [running, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [running, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after', updatePipeline: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (err) {
+      // Two first hits raced to create the counter; the other one won
+      if (err.code === 11000) return hit(key, windowMs);
+      throw err;
+    }
+  }
+
+  return {
+    name: 'mongo',
+
+    hit,
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ _id: key, resetAt: { $gt: new Date() } });
+      return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ _id: key });
+    }
+  };
+};
@@ -0,0 +1,32 @@
+// Realtime layer, chosen with REALTIME_ADAPTER=memory|mongo.
+//   memory (default)  everything lives in this process; run a single instance
+//   mongo             Socket.IO events and presence are shared through MongoDB,
+//                     so any number of instances can run against one database.
+//                     Needs a replica set (change streams); for development a
+//                     single mongod started with --replSet and rs.initiate() works.
+//
+// Every driver exposes:
+//   attach(io)                   install the Socket.IO adapter; resolves once
+//                                broadcasts reach every instance
+//   presence.add(userId, socketId)     record a connection; resolves to the
+//                                      user's open connection count
+//   presence.remove(userId, socketId)  forget one; resolves to the count left
+//   presence.onlineUserIds(userIds)    resolves to a Set of those online
+//   close()                      forget this instance's connections on shutdown
+const drivers = {
+  memory: () => require('./memory')(),
+  mongo: () => require('./mongo')()
+};
+
+let realtime = null;
+
+function getRealtime() {
+  if (!realtime) {
+    const name = process.env.REALTIME_ADAPTER || 'memory';
+    if (!drivers[name]) throw new Error(`Unknown REALTIME_ADAPTER: ${name}`);
+    realtime = drivers[name]();
+  }
+  return realtime;
+}
+
+module.exports = { getRealtime };
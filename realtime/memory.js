@@ -0,0 +1,37 @@
+// Single-process realtime: Socket.IO's default in-memory adapter and a
+// connection map.
+module.exports = function createMemoryRealtime() {
+  const connections = new Map(); // userId -> Set of socket IDs
+
+  return {
+    name: 'memory',
+
+    async attach() {},
+
+    presence: {
+      async add(userId, socketId) {
+        const key = userId.toString();
+        if (!connections.has(key)) connections.set(key, new Set());
+        connections.get(key).add(socketId);
+        return connections.get(key).size;
+      },
+
+      async remove(userId, socketId) {
+        const key = userId.toString();
+        const sockets = connections.get(key);
+        if (!sockets) return 0;
+        sockets.delete(socketId);
+        if (sockets.size === 0) connections.delete(key);
+        return sockets.size;
+      },
+
+      async onlineUserIds(userIds) {
+        return new Set(userIds.map(id => id.toString()).filter(id => connections.has(id)));
+      }
+    },
+
+    async close() {
+      connections.clear();
+    }
+  };
+};
@@ -0,0 +1,65 @@
+// Realtime shared through MongoDB: Socket.IO's MongoDB adapter relays
+// broadcasts between instances over a change stream, and open connections are
+// stored in the SocketConnection collection.
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const SocketConnection = require('../models/SocketConnection');
+
+const EVENTS_COLLECTION = 'socket.io-adapter-events';
+const EVENTS_TTL_SECONDS = 60 * 60;
+const HEARTBEAT_MS = 30 * 1000;
+// Connections not refreshed for this long belong to an instance that died
+const STALE_AFTER_MS = 90 * 1000;
+
+module.exports = function createMongoRealtime() {
+  const node = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  let heartbeat = null;
+
+  const fresh = () => ({ lastSeenAt: { $gt: new Date(Date.now() - STALE_AFTER_MS) } });
+  const countFor = (userId) => SocketConnection.countDocuments({ user: userId, ...fresh() });
+
+  return {
+    name: 'mongo',
+
+    async attach(io) {
+      await mongoose.connection.asPromise();
+      const events = mongoose.connection.db.collection(EVENTS_COLLECTION);
+      await events.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENTS_TTL_SECONDS });
+      io.adapter(createAdapter(events, { addCreatedAtField: true }));
+
+      heartbeat = setInterval(() => {
+        SocketConnection.updateMany({ node }, { $set: { lastSeenAt: new Date() } })
+          .catch(err => console.error('Presence heartbeat error:', err));
+      }, HEARTBEAT_MS);
+      heartbeat.unref();
+    },
+
+    presence: {
+      async add(userId, socketId) {
+        await SocketConnection.updateOne(
+          { socketId },
+          { $set: { user: userId, node, lastSeenAt: new Date() } },
+          { upsert: true }
+        );
+        return countFor(userId);
+      },
+
+      async remove(userId, socketId) {
+        await SocketConnection.deleteOne({ socketId });
+        return countFor(userId);
+      },
+
+      async onlineUserIds(userIds) {
+        const online = await SocketConnection.distinct('user', { user: { $in: userIds }, ...fresh() });
+        return new Set(online.map(id => id.toString()));
+      }
+    },
+
+    async close() {
+      clearInterval(heartbeat);
+      await SocketConnection.deleteMany({ node });
+    }
+  };
+};
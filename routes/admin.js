@@ -0,0 +1,338 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
+const ChatMessage = require('../models/ChatMessage');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const PushSubscription = require('../models/PushSubscription');
+const PushOutbox = require('../models/PushOutbox');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { parseLimit, encodeCursor, decodeCursor } = require('../utils/feed');
+const { escapeRegex } = require('../utils/search');
+const { removePhoto, removeComment } = require('../utils/photos');
+const { suspensionEnd, suspendUser, liftSuspension, sendModerationNotice } = require('../utils/moderation');
+const { platformStats } = require('../utils/stats');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const ROLES = User.schema.path('role').enumValues;
+
+const idParams = z.object({ id: schemas.objectId });
+const usersQuery = z.object({
+  q: z.string().trim().max(100).optional(),
+  role: z.enum(ROLES).optional(),
+  status: z.enum(['active', 'suspended', 'banned']).optional(),
+  cursor: schemas.cursor(decodeCursor),
+  limit: schemas.limit
+});
+const note = z.string().trim().max(1000, 'Notes are limited to 1000 characters').optional();
+const reasonText = z.string().trim().min(1, 'Reason is required').max(200, 'Reasons are limited to 200 characters');
+const roleBody = z.object({ role: z.enum(ROLES), note });
+const suspendBody = z.object({
+  durationDays: z.number().int('Must be a whole number').min(1).max(365),
+  reason: reasonText,
+  note
+});
+const banBody = z.object({ reason: reasonText, note });
+const noteBody = z.object({ note });
+const statsQuery = z.object({
+  days: z.coerce.number({ error: 'Must be a number' }).int('Must be a whole number').min(1, 'Must be at least 1').max(90, 'Must be at most 90').default(30)
+});
+
+const ADMIN_USER_FIELDS = 'username email profilePic role createdAt lastSeenAt suspendedUntil bannedAt suspensionReason';
+
+// Everything here is for admins only
+router.use(auth, requireRole('admin'));
+
+// Admins don't suspend, ban or change the role of their own account
+function isSelf(req) {
+  return req.params.id === req.userId.toString();
+}
+
+function audit(req, fields) {
+  return AuditLog.create({ actor: req.userId, ...fields });
+}
+
+// @route   GET /api/admin/users?q=&role=&status=active|suspended|banned&cursor=&limit=
+// @desc    List accounts, newest first; q matches the start of a username or email
+// @access  Admin
+router.get('/users', validate({ query: usersQuery }), async (req, res, next) => {
+  try {
+    const { q, role, status, cursor: after } = req.query;
+
+    const now = new Date();
+    const conditions = [];
+    if (q) {
+      const prefix = new RegExp(`^${escapeRegex(q.toLowerCase())}`);
+      conditions.push({ $or: [{ usernameLower: prefix }, { email: prefix }] });
+    }
+    if (role) conditions.push({ role });
+    if (status === 'banned') conditions.push({ bannedAt: { $ne: null } });
+    if (status === 'suspended') conditions.push({ bannedAt: null, suspendedUntil: { $gt: now } });
+    if (status === 'active') conditions.push({ bannedAt: null, suspendedUntil: { $not: { $gt: now } } });
+    if (after) {
+      conditions.push({
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after.id } }
+        ]
+      });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const users = await User.find(conditions.length > 0 ? { $and: conditions } : {})
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select(ADMIN_USER_FIELDS);
+    const hasMore = users.length > limit;
+    const page = users.slice(0, limit);
+
+    res.json({
+      users: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    One account with activity counts and its moderation history
+// @access  Admin
+router.get('/users/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select(`${ADMIN_USER_FIELDS} followers following`);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [photos, comments, messages, openReports, pushSubscriptions, history] = await Promise.all([
+      Photo.countDocuments({ user: user._id }),
+      Comment.countDocuments({ user: user._id }),
+      ChatMessage.countDocuments({ sender: user._id, system: null }),
+      Report.countDocuments({ author: user._id, status: 'open' }),
+      PushSubscription.countDocuments({ user: user._id }),
+      AuditLog.find({ subject: user._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(20)
+        .populate('actor', 'username profilePic')
+    ]);
+
+    const { followers, following, ...profile } = user.toObject();
+    res.json({
+      ...profile,
+      counts: {
+        followers: followers.length,
+        following: following.length,
+        photos,
+        comments,
+        messages,
+        openReports,
+        pushSubscriptions
+      },
+      history
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Make an account a user, moderator or admin. Body: { role, note? }
+// @access  Admin
+router.put('/users/:id/role', validate({ params: idParams, body: roleBody }), async (req, res, next) => {
+  try {
+    if (isSelf(req)) return res.status(400).json({ error: 'You cannot change your own role' });
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const previous = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await audit(req, {
+      action: 'user.role',
+      targetType: 'user',
+      target: user._id,
+      subject: user._id,
+      note: req.body.note,
+      details: { from: previous, to: user.role }
+    });
+    res.json({ _id: user._id, role: user.role });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Lock an account out for a while and sign it out everywhere.
+//          Body: { durationDays, reason, note? }
+// @access  Admin
+router.post('/users/:id/suspend', validate({ params: idParams, body: suspendBody }), async (req, res, next) => {
+  try {
+    if (isSelf(req)) return res.status(400).json({ error: 'You cannot suspend yourself' });
+
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const { durationDays, reason } = req.body;
+    const suspendedUntil = suspensionEnd(durationDays);
+    const io = req.app.get('socketio');
+    await suspendUser(io, user._id, { until: suspendedUntil, reason });
+
+    await audit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      target: user._id,
+      subject: user._id,
+      note: req.body.note,
+      details: { suspendedUntil, reason }
+    });
+    await sendModerationNotice(io, user._id, { action: 'suspended', targetType: 'user' });
+    res.json({ _id: user._id, suspendedUntil, suspensionReason: reason });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/admin/users/:id/ban
+// @desc    Lock an account out until an admin lifts it, and sign it out
+//          everywhere. Body: { reason, note? }
+// @access  Admin
+router.post('/users/:id/ban', validate({ params: idParams, body: banBody }), async (req, res, next) => {
+  try {
+    if (isSelf(req)) return res.status(400).json({ error: 'You cannot ban yourself' });
+
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const io = req.app.get('socketio');
+    await suspendUser(io, user._id, { until: null, reason: req.body.reason });
+
+    await audit(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      target: user._id,
+      subject: user._id,
+      note: req.body.note,
+      details: { reason: req.body.reason }
+    });
+    await sendModerationNotice(io, user._id, { action: 'banned', targetType: 'user' });
+    res.json({ _id: user._id, banned: true, suspensionReason: req.body.reason });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a suspension or ban early. Body: { note? }
+// @access  Admin
+router.delete('/users/:id/suspension', validate({ params: idParams, body: noteBody }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('suspendedUntil bannedAt');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.bannedAt && !user.isSuspended()) {
+      return res.status(400).json({ error: 'This account is not suspended' });
+    }
+
+    await liftSuspension(user._id);
+    await audit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      target: user._id,
+      subject: user._id,
+      note: req.body.note,
+      details: { suspendedUntil: user.suspendedUntil, bannedAt: user.bannedAt }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/push-subscriptions
+// @desc    Remove every push subscription of an account and drop its queued pushes
+// @access  Admin
+router.delete('/users/:id/push-subscriptions', validate({ params: idParams, body: noteBody }), async (req, res, next) => {
+  try {
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const { deletedCount } = await PushSubscription.deleteMany({ user: user._id });
+    await PushOutbox.deleteMany({ user: user._id });
+
+    await audit(req, {
+      action: 'push.revoke',
+      targetType: 'user',
+      target: user._id,
+      subject: user._id,
+      note: req.body.note,
+      details: { subscriptions: deletedCount }
+    });
+    res.json({ success: true, removed: deletedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/admin/photos/:id
+// @desc    Delete any photo with its comments and files. Body: { note? }
+// @access  Admin
+router.delete('/photos/:id', validate({ params: idParams, body: noteBody }), async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.id);
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    await removePhoto(photo);
+    await audit(req, {
+      action: 'content.delete',
+      targetType: 'photo',
+      target: photo._id,
+      subject: photo.user,
+      note: req.body.note,
+      details: { caption: photo.caption }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/admin/comments/:id
+// @desc    Delete any comment (and its replies, if top-level). Body: { note? }
+// @access  Admin
+router.delete('/comments/:id', validate({ params: idParams, body: noteBody }), async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    const deleted = await removeComment(comment);
+    await audit(req, {
+      action: 'content.delete',
+      targetType: 'comment',
+      target: comment._id,
+      subject: comment.user,
+      note: req.body.note,
+      details: { text: comment.text, photo: comment.photo }
+    });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/admin/stats?days=30
+// @desc    Signups, posts and messages per day (UTC) and platform totals
+// @access  Admin
+router.get('/stats', validate({ query: statsQuery }), async (req, res, next) => {
+  try {
+    res.json(await platformStats(req.query.days));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
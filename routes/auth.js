@@ -1,13 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+const { createSession, rotateSession, revokeSessions, suspensionError } = require('../utils/sessions');
+const { issueToken, consumeToken } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { loginLockedFor, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimits');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const emailedToken = z.string().min(1, 'Token is required');
+const registerBody = z.object({
+  username: schemas.username,
+  email: schemas.email,
+  password: schemas.password
+});
+// No password rules here: they may have changed since the account was made
+const loginBody = z.object({ email: schemas.email, password: z.string().min(1, 'Password is required') });
+const refreshBody = z.object({ refreshToken: z.string().min(1, 'Refresh token is required') });
+const tokenBody = z.object({ token: emailedToken });
+const emailBody = z.object({ email: schemas.email });
+const resetBody = z.object({ token: emailedToken, password: schemas.password });
+const sessionParams = z.object({ id: schemas.objectId });
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), validate({ body: registerBody }), async (req, res, next) => {
   try {
     if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not set');
@@ -16,10 +41,6 @@ router.post('/register', async (req, res) => {
 
     const { username, email, password } = req.body;
 
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
-
     // Check if user already exists
     let user = await User.findOne({ $or: [{ email }, { username }] });
     if (user) {
@@ -36,23 +57,26 @@ router.post('/register', async (req, res) => {
     // Save user
     await user.save();
 
-    // Create JWT payload
-    const payload = { userId: user.id };
+    // Ask the user to confirm their email (registration succeeds even if mail fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr.message);
+    }
 
-    // Sign token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
-    res.status(201).json({ token, user: { id: user.id, username, email } });
+    res.status(201).json({ token, refreshToken, user: { id: user.id, username, email } });
   } catch (err) {
-    console.error('Register error:', err.message);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    next(err);
   }
 });
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), validate({ body: loginBody }), async (req, res, next) => {
   try {
     if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not set');
@@ -61,46 +85,243 @@ router.post('/login', async (req, res) => {
 
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    // Accounts with too many recent failures are locked for a while
+    const lockedFor = await loginLockedFor(email);
+    if (lockedFor) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        error: 'Too many failed login attempts, try again later',
+        code: 'ACCOUNT_LOCKED',
+        retryAfter: lockedFor
+      });
     }
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email);
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
     // Compare password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordLoginFailure(email);
       return res.status(400).json({ error: 'Invalid credentials' });
     }
+    await clearLoginFailures(email);
+
+    const suspended = suspensionError(user);
+    if (suspended) {
+      const { status, ...body } = suspended;
+      return res.status(status).json(body);
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({ token, refreshToken, user: { id: user.id, username: user.username, email } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', rateLimit('auth-token'), validate({ body: refreshBody }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Refresh token is not valid' });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Create JWT payload
-    const payload = { userId: user.id };
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res, next) => {
+  try {
+    await revokeSessions(req.app.get('socketio'), { _id: req.sessionId });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Sign token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user (log out everywhere)
+// @access  Private
+router.post('/logout-all', auth, async (req, res, next) => {
+  try {
+    const count = await revokeSessions(req.app.get('socketio'), { user: req.userId });
+    res.json({ success: true, count });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({ token, user: { id: user.id, username: user.username, email } });
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(s => ({
+      id: s.id,
+      device: s.device,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: s.id === req.sessionId
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, validate({ params: sessionParams }), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.userId, revokedAt: null });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    await revokeSessions(req.app.get('socketio'), { _id: session._id });
+    res.json({ success: true });
   } catch (err) {
-    console.error('Login error:', err.message);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    next(err);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the emailed token
+// @access  Public
+router.post('/verify-email', rateLimit('auth-token'), validate({ body: tokenBody }), async (req, res, next) => {
+  try {
+    const userId = await consumeToken(req.body.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', auth, rateLimit('auth-email'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('auth-email'), validate({ body: emailBody }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueToken(user._id, 'password_reset');
+      const link = `${APP_URL}/reset-password?token=${token}`;
+      // A failed send must not change the response either
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.username},\n\nReset your password here: ${link}\n\nThis link expires in 1 hour. If you did not ask for it, ignore this email.`,
+          html: `<p>Hi ${user.username},</p><p><a href="${link}">Reset your password</a></p><p>This link expires in 1 hour. If you did not ask for it, ignore this email.</p>`
+        });
+      } catch (mailErr) {
+        console.error('Password reset email error:', mailErr);
+      }
+    }
+
+    res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed token, then log out everywhere
+// @access  Public
+router.post('/reset-password', rateLimit('auth-token'), validate({ body: resetBody }), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await consumeToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // The reset link proves the user controls the inbox
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeSessions(req.app.get('socketio'), { user: user._id });
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   GET /api/auth/me
 // @desc    Get current user (protected)
 // @access  Private
-router.get('/me', require('../middleware/auth'), async (req, res) => {
+router.get('/me', auth, async (req, res, next) => {
   try {
     const user = await User.findById(req.userId).select('-password');
     res.json(user);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
+// Issue a verification token and email the confirmation link
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user._id, 'email_verification');
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email',
+    text: `Hi ${user.username},\n\nConfirm your email address here: ${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${user.username},</p><p><a href="${link}">Confirm your email address</a></p><p>This link expires in 24 hours.</p>`
+  });
+}
+
 module.exports = router;
\ No newline at end of file
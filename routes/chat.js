@@ -1,107 +1,147 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const ChatMessage = require('../models/ChatMessage');
+const Conversation = require('../models/Conversation');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const sendPushNotification = require('../utils/sendPushNotification');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const {
+  chatUpload,
+  handleUpload,
+  validateUpload,
+  rollbackUploads,
+  attachmentKind,
+  CHAT_ATTACHMENT_KINDS
+} = require('../middleware/upload');
+const { setReaction } = require('../utils/reactions');
+const { deliverMessage, messagePreview, removeMessages } = require('../utils/chat');
+const { unreadCount, markConversationRead, resolveMessageTarget } = require('../utils/conversations');
+const { markDelivered, markRead } = require('../utils/receipts');
+const { hiddenUserIds } = require('../utils/privacy');
+const { MAX_PAGE_SIZE, parseLimit } = require('../utils/feed');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const messageParams = z.object({ messageId: schemas.objectId });
+const senderParams = z.object({ senderId: schemas.objectId });
+const editBody = z.object({ message: schemas.chatText.min(1, 'Message cannot be empty') });
+const reactionBody = z.object({ emoji: z.string().min(1, 'Emoji is required').max(32) });
+const userParams = z.object({ userId: schemas.objectId });
+const historyQuery = z.object({ before: schemas.objectId.optional(), limit: schemas.limit });
+
+// One attachment per message, sent as "file"
+const uploadAttachment = handleUpload(chatUpload.single('file'));
 
 // ---------- Specific routes first ----------
 
 // @route   GET /api/chat/unread
-// @desc    Get total number of unread messages for current user
+// @desc    Get total number of unread messages for current user (direct and group)
 // @access  Private
-router.get('/unread', auth, async (req, res) => {
+router.get('/unread', auth, async (req, res, next) => {
   try {
-    const count = await ChatMessage.countDocuments({
+    const direct = await ChatMessage.countDocuments({
       receiver: req.userId,
-      read: false
+      read: false,
+      system: null,
+      ...ChatMessage.visible()
     });
-    res.json({ count });
+    const groups = await Conversation.find({ type: 'group', members: req.userId })
+      .select('readState createdAt');
+    const groupCounts = await Promise.all(groups.map(group => unreadCount(group, req.userId)));
+    res.json({ count: groupCounts.reduce((sum, n) => sum + n, direct) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   GET /api/chat/conversations/list
-// @desc    Get list of users the current user has chatted with (latest message)
+// @desc    Get the users the current user has chatted with most recently (latest message each)
 // @access  Private
-router.get('/conversations/list', auth, async (req, res) => {
+router.get('/conversations/list', auth, async (req, res, next) => {
   try {
-    const messages = await ChatMessage.find({
-      $or: [{ sender: req.userId }, { receiver: req.userId }]
-    })
-      .sort({ createdAt: -1 })
-      .populate('sender', 'username profilePic')
-      .populate('receiver', 'username profilePic');
-
-    const contactsMap = new Map();
-    messages.forEach(msg => {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const hidden = await hiddenUserIds(req.userId);
+
+    // Latest direct message with each contact, most recent contacts first
+    const latest = await ChatMessage.aggregate([
+      {
+        $match: {
+          $or: [
+            { sender: userId, receiver: { $ne: null, $nin: hidden } },
+            { receiver: userId, sender: { $nin: hidden } }
+          ],
+          ...ChatMessage.visible()
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$sender', userId] }, '$receiver', '$sender'] },
+          message: { $first: '$$ROOT' }
+        }
+      },
+      { $sort: { 'message.createdAt': -1 } },
+      { $limit: MAX_PAGE_SIZE }
+    ]);
+
+    const messages = latest.map(row => ChatMessage.hydrate(row.message));
+    await ChatMessage.populate(messages, [
+      { path: 'sender', select: 'username profilePic' },
+      { path: 'receiver', select: 'username profilePic' }
+    ]);
+
+    const contacts = messages
       // Skip if sender or receiver is null (user deleted)
-      if (!msg.sender || !msg.receiver) return;
-
-      const otherUser = msg.sender._id.toString() === req.userId ? msg.receiver : msg.sender;
-      if (!otherUser) return;
-
-      const key = otherUser._id.toString();
-      if (!contactsMap.has(key)) {
-        contactsMap.set(key, {
-          user: otherUser,
-          lastMessage: msg.message,
-          lastTime: msg.createdAt,
-          unread: !msg.read && msg.receiver._id.toString() === req.userId
-        });
-      }
-    });
-
-    res.json(Array.from(contactsMap.values()));
+      .filter(msg => msg.sender && msg.receiver)
+      .map(msg => ({
+        user: msg.sender._id.equals(userId) ? msg.receiver : msg.sender,
+        lastMessage: messagePreview(msg),
+        lastTime: msg.createdAt,
+        unread: !msg.read && msg.receiver._id.equals(userId)
+      }));
+
+    res.json(contacts);
   } catch (err) {
-    console.error('Error in /conversations/list:', err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   PUT /api/chat/read/:senderId
 // @desc    Mark all messages from a sender as read
 // @access  Private
-router.put('/read/:senderId', auth, async (req, res) => {
+router.put('/read/:senderId', auth, validate({ params: senderParams }), async (req, res, next) => {
   try {
-    const result = await ChatMessage.updateMany(
-      { sender: req.params.senderId, receiver: req.userId, read: false },
-      { $set: { read: true } }
-    );
-
-    if (result.modifiedCount > 0) {
-      const io = req.app.get('socketio');
-      io.to(req.params.senderId).emit('messages-read', {
-        readerId: req.userId,
-        count: result.modifiedCount
-      });
-    }
+    const messageIds = await markRead(req.app.get('socketio'), req.userId, { sender: req.params.senderId });
 
-    res.json({ success: true });
+    const conversation = await Conversation.findOne({
+      directKey: Conversation.directKey(req.params.senderId, req.userId)
+    });
+    if (conversation) await markConversationRead(conversation, req.userId);
+
+    res.json({ success: true, messageIds });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   PUT /api/chat/:messageId
 // @desc    Edit a message (only by sender, within 5 minutes)
 // @access  Private
-router.put('/:messageId', auth, async (req, res) => {
+router.put('/:messageId', auth, validate({ params: messageParams, body: editBody }), async (req, res, next) => {
   try {
     const { message } = req.body;
-    if (!message || message.trim() === '') {
-      return res.status(400).json({ error: 'Message cannot be empty' });
-    }
 
     const msg = await ChatMessage.findById(req.params.messageId);
-    if (!msg) return res.status(404).json({ error: 'Message not found' });
+    if (!msg || msg.isExpired()) return res.status(404).json({ error: 'Message not found' });
 
     if (msg.sender.toString() !== req.userId) {
       return res.status(403).json({ error: 'Not authorized' });
     }
+    if (msg.system) {
+      return res.status(400).json({ error: 'Conversation notices cannot be edited' });
+    }
 
     const now = new Date();
     const msgTime = new Date(msg.createdAt);
@@ -110,21 +150,56 @@ router.put('/:messageId', auth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot edit messages older than 5 minutes' });
     }
 
-    msg.message = message.trim();
+    msg.message = message;
     msg.edited = true;
     await msg.save();
 
     res.json(msg);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   POST /api/chat/:messageId/reactions
+// @desc    Set your emoji reaction on a message (replaces any previous one)
+// @access  Private
+router.post('/:messageId/reactions', auth, rateLimit('reaction'), validate({ params: messageParams, body: reactionBody }), async (req, res, next) => {
+  try {
+    const result = await setReaction({
+      io: req.app.get('socketio'),
+      messageId: req.params.messageId,
+      userId: req.userId,
+      emoji: req.body.emoji
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/chat/:messageId/reactions
+// @desc    Remove your reaction from a message
+// @access  Private
+router.delete('/:messageId/reactions', auth, validate({ params: messageParams }), async (req, res, next) => {
+  try {
+    const result = await setReaction({
+      io: req.app.get('socketio'),
+      messageId: req.params.messageId,
+      userId: req.userId,
+      emoji: null
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   DELETE /api/chat/:messageId
 // @desc    Unsend/delete a message (only by sender)
 // @access  Private
-router.delete('/:messageId', auth, async (req, res) => {
+router.delete('/:messageId', auth, validate({ params: messageParams }), async (req, res, next) => {
   try {
     const msg = await ChatMessage.findById(req.params.messageId);
     if (!msg) return res.status(404).json({ error: 'Message not found' });
@@ -132,21 +207,24 @@ router.delete('/:messageId', auth, async (req, res) => {
     if (msg.sender.toString() !== req.userId) {
       return res.status(403).json({ error: 'Not authorized' });
     }
+    if (msg.system) {
+      return res.status(400).json({ error: 'Conversation notices cannot be deleted' });
+    }
 
-    await msg.deleteOne();
+    // Unsending also deletes the attachment file
+    await removeMessages({ _id: msg._id });
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   DELETE /api/chat/conversation/:userId
 // @desc    Delete entire conversation with another user
 // @access  Private
-router.delete('/conversation/:userId', auth, async (req, res) => {
+router.delete('/conversation/:userId', auth, validate({ params: userParams }), async (req, res, next) => {
   try {
-    await ChatMessage.deleteMany({
+    await removeMessages({
       $or: [
         { sender: req.userId, receiver: req.params.userId },
         { sender: req.params.userId, receiver: req.userId }
@@ -154,61 +232,109 @@ router.delete('/conversation/:userId', auth, async (req, res) => {
     });
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // ---------- Parameterized routes last ----------
 
 // @route   POST /api/chat
-// @desc    Send a message (fallback if socket fails)
+// @desc    Send a message to a user (receiverId) or a conversation (conversationId); fallback if socket fails
 // @access  Private
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, rateLimit('message'), validate({ body: schemas.sendMessage }), async (req, res, next) => {
   try {
-    const { receiverId, message, replyTo } = req.body;
-    if (!receiverId || !message || message.trim() === '') {
-      return res.status(400).json({ error: 'Receiver and message are required' });
-    }
+    const { receiverId, conversationId, message, replyTo } = req.body;
 
-    const receiver = await User.findById(receiverId);
-    if (!receiver) return res.status(404).json({ error: 'Receiver not found' });
+    const target = await resolveMessageTarget(req.userId, { receiverId, conversationId, replyTo });
+    if (target.error) return res.status(target.status).json({ error: target.error });
 
     const newMessage = new ChatMessage({
       sender: req.userId,
-      receiver: receiverId,
-      message: message.trim(),
+      receiver: target.receiverId,
+      conversation: target.conversation ? target.conversation._id : undefined,
+      message,
       replyTo: replyTo || null,
       read: false,
       edited: false
     });
 
     await newMessage.save();
-    await newMessage.populate('sender', 'username profilePic');
-    await newMessage.populate('receiver', 'username profilePic');
-    if (newMessage.replyTo) {
-      await newMessage.populate('replyTo', 'message sender');
+
+    // Emit to the conversation room and push to the receiver
+    await deliverMessage(req.app.get('socketio'), newMessage);
+
+    res.json(newMessage);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/chat/attachment
+// @desc    Send an image or voice note (multipart: file, receiverId or conversationId, optional message, replyTo)
+// @access  Private
+router.post('/attachment', auth, rateLimit('message'), uploadAttachment, validateUpload({ body: schemas.sendAttachment }, ['file']), async (req, res, next) => {
+  const file = req.file;
+  try {
+    const { receiverId, conversationId, message, replyTo } = req.body;
+    const reject = async (status, error) => {
+      await rollbackUploads([file]);
+      return res.status(status).json({ error });
+    };
+
+    const target = await resolveMessageTarget(req.userId, { receiverId, conversationId, replyTo });
+    if (target.error) return reject(target.status, target.error);
+
+    const kind = attachmentKind(file.mimetype);
+    const limits = CHAT_ATTACHMENT_KINDS[kind];
+    if (file.size > limits.maxSize) {
+      return reject(400, `${kind === 'audio' ? 'Voice notes' : 'Images'} cannot exceed ${limits.maxSize / (1024 * 1024)}MB`);
     }
 
-    // Send push notification to the receiver
-    const sender = await User.findById(req.userId).select('username');
-    await sendPushNotification(receiverId, {
-      title: '💬 New Message',
-      body: `${sender.username}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`,
-      data: { url: `/chat/${req.userId}` }
+    // Only trust the length storage measured; audio it can't read is refused
+    let duration = null;
+    if (kind === 'audio') {
+      duration = Number.isFinite(file.duration) && file.duration > 0 ? file.duration : null;
+      if (!duration) return reject(400, 'Could not read the length of this voice note');
+      if (duration > limits.maxDuration) {
+        return reject(400, `Voice notes cannot be longer than ${limits.maxDuration} seconds`);
+      }
+    }
+
+    const newMessage = new ChatMessage({
+      sender: req.userId,
+      receiver: target.receiverId,
+      conversation: target.conversation ? target.conversation._id : undefined,
+      message,
+      replyTo: replyTo || null,
+      attachment: {
+        kind,
+        url: file.path,
+        key: file.filename,
+        mimeType: file.mimetype,
+        size: file.size,
+        width: file.width || null,
+        height: file.height || null,
+        duration
+      }
     });
+    try {
+      await newMessage.save();
+    } catch (saveErr) {
+      await rollbackUploads([file]);
+      throw saveErr;
+    }
 
+    await deliverMessage(req.app.get('socketio'), newMessage);
     res.json(newMessage);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   GET /api/chat/:userId
 // @desc    Get conversation between current user and another user
 // @access  Private
-router.get('/:userId', auth, async (req, res) => {
+router.get('/:userId', auth, validate({ params: userParams, query: historyQuery }), async (req, res, next) => {
   try {
     const otherUser = await User.findById(req.params.userId);
     if (!otherUser) return res.status(404).json({ error: 'User not found' });
@@ -217,7 +343,8 @@ router.get('/:userId', auth, async (req, res) => {
       $or: [
         { sender: req.userId, receiver: req.params.userId },
         { sender: req.params.userId, receiver: req.userId }
-      ]
+      ],
+      ...ChatMessage.visible()
     };
 
     // Implement pagination with 'before' parameter
@@ -225,20 +352,23 @@ router.get('/:userId', auth, async (req, res) => {
       query._id = { $lt: req.query.before };
     }
 
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = parseLimit(req.query.limit);
 
     const messages = await ChatMessage.find(query)
       .sort({ createdAt: -1 })
       .limit(limit)
       .populate('sender', 'username profilePic')
       .populate('receiver', 'username profilePic')
-      .populate('replyTo', 'message sender');
+      .populate({ path: 'replyTo', select: 'message sender attachment', match: ChatMessage.visible() })
+      .populate('story', 'media caption expiresAt');
+
+    // Fetching history counts as delivery for anything not yet acknowledged
+    await markDelivered(req.app.get('socketio'), req.userId, { _id: { $in: messages.map(m => m._id) } });
 
     // Return messages in chronological order (oldest first)
     res.json(messages.reverse());
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const Comment = require('../models/Comment');
+const Photo = require('../models/Photo');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { blockedBetween, hiddenUserIds, photoAccessError } = require('../utils/privacy');
+const { parseLimit, decodeCursor } = require('../utils/feed');
+const { EDIT_WINDOW_MINUTES, findCommentPage, serializeComment } = require('../utils/comments');
+const { extractEntities, updateHashtagCounts, notifyMentions } = require('../utils/entities');
+const { removeComment } = require('../utils/photos');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const idParams = z.object({ id: schemas.objectId });
+const repliesQuery = z.object({ cursor: schemas.cursor(decodeCursor), limit: schemas.limit });
+const editBody = z.object({ text: schemas.commentText });
+
+// @route   GET /api/comments/:id/replies
+// @desc    Get replies to a top-level comment (cursor paginated, oldest first)
+// @access  Public
+router.get('/:id/replies', optionalAuth, validate({ params: idParams, query: repliesQuery }), async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || (comment.hiddenAt && comment.user.toString() !== req.userId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const photo = await Photo.findById(comment.photo).select('user hiddenAt');
+    if (!photo) return res.status(404).json({ error: 'Comment not found' });
+
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const hidden = await hiddenUserIds(req.userId, { includeMuted: true });
+    const page = await findCommentPage(
+      { parent: comment._id, user: { $nin: hidden } },
+      { after: req.query.cursor, limit: parseLimit(req.query.limit), viewerId: req.userId }
+    );
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/comments/:id
+// @desc    Edit a comment (only by author, within the edit window)
+// @access  Private
+router.put('/:id', auth, validate({ params: idParams, body: editBody }), async (req, res, next) => {
+  try {
+    const { text } = req.body;
+
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    if (comment.user.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Editable only while the author can still see the photo
+    const photo = await Photo.findById(comment.photo).select('user hiddenAt');
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const diffMinutes = (new Date() - comment.createdAt) / (1000 * 60);
+    if (diffMinutes > EDIT_WINDOW_MINUTES) {
+      return res.status(400).json({ error: `Cannot edit comments older than ${EDIT_WINDOW_MINUTES} minutes` });
+    }
+
+    const { hashtags, mentions } = await extractEntities(text);
+    const previousTags = comment.hashtags;
+    const previousMentions = comment.mentions;
+
+    comment.text = text;
+    comment.hashtags = hashtags;
+    comment.mentions = mentions;
+    comment.edited = true;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await updateHashtagCounts(previousTags, hashtags);
+    await notifyMentions(req.app.get('socketio'), mentions, {
+      sender: req.userId,
+      photo: comment.photo,
+      comment: comment._id,
+      text,
+      alreadyNotified: previousMentions
+    });
+
+    await comment.populate('user', 'username profilePic');
+    res.json(serializeComment(comment, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete a comment and its replies (by author or photo owner)
+// @access  Private
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    const photo = await Photo.findById(comment.photo).select('user');
+    const isAuthor = comment.user.toString() === req.userId;
+    const isPhotoOwner = photo && photo.user.toString() === req.userId;
+    if (!isAuthor && !isPhotoOwner) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Deleting a top-level comment takes its replies with it
+    const deleted = await removeComment(comment);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/comments/:id/like
+// @desc    Toggle like on a comment
+// @access  Private
+router.post('/:id/like', auth, rateLimit('like'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    // Hidden comments only exist for their authors
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || (comment.hiddenAt && comment.user.toString() !== req.userId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    const photo = await Photo.findById(comment.photo).select('user hiddenAt');
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    if (await blockedBetween(comment.user, req.userId)) {
+      return res.status(403).json({ error: 'You cannot interact with this comment' });
+    }
+
+    const liked = comment.likes.some(id => id.toString() === req.userId);
+    const updated = await Comment.findByIdAndUpdate(
+      comment._id,
+      liked ? { $pull: { likes: req.userId } } : { $addToSet: { likes: req.userId } },
+      { returnDocument: 'after' }
+    );
+
+    res.json({ likes: updated.likes.length, liked: !liked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,557 @@
+const express = require('express');
+const router = express.Router();
+const Conversation = require('../models/Conversation');
+const { MAX_GROUP_MEMBERS, RETENTION_OPTIONS } = Conversation;
+const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { upload, handleUpload, validateUpload, rollbackUploads } = require('../middleware/upload');
+const { blockedBetween } = require('../utils/privacy');
+const { deliverMessage, messagePreview } = require('../utils/chat');
+const { deleteMediaByUrl } = require('../utils/deleteMedia');
+const {
+  isMember,
+  isAdmin,
+  joinedAt,
+  unreadCount,
+  markConversationRead,
+  resolveMessageTarget,
+  postSystemMessage,
+  emitConversationUpdate,
+  removeMember
+} = require('../utils/conversations');
+const { markDelivered, markRead } = require('../utils/receipts');
+const { parseLimit } = require('../utils/feed');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const idParams = z.object({ id: schemas.objectId });
+const memberParams = z.object({ id: schemas.objectId, userId: schemas.objectId });
+const withParams = z.object({ userId: schemas.objectId });
+const groupName = z.string().trim()
+  .min(1, 'Group name is required')
+  .max(100, 'Group names are limited to 100 characters');
+const userIds = z.array(schemas.objectId, { error: 'Must be a list of user IDs' });
+const listQuery = z.object({
+  before: z.coerce.date({ error: 'Not a valid date' }).optional(),
+  limit: schemas.limit
+});
+const createBody = z.object({ name: groupName, memberIds: userIds.default([]) });
+const renameBody = z.object({ name: groupName });
+const retentionBody = z.object({ retention: z.enum(Object.keys(RETENTION_OPTIONS)) });
+const muteBody = z.object({
+  minutes: z.number({ error: 'Must be a number' }).int('Must be a whole number').positive('Must be positive').nullish()
+});
+const membersBody = z.object({ userIds });
+const messagesQuery = z.object({ before: schemas.objectId.optional(), limit: schemas.limit });
+const messageBody = z.object({
+  message: schemas.chatText.min(1, 'Message is required'),
+  replyTo: schemas.objectId.nullish()
+});
+
+// Group the user belongs to, or null
+async function findGroup(conversationId, userId) {
+  return Conversation.findOne({ _id: conversationId, type: 'group', members: userId });
+}
+
+// Existing users from a list of IDs, minus duplicates and `excludeIds`.
+// Resolves to { users } or { status, error } if someone can't be added by `actorId`.
+async function loadNewMembers(actorId, userIds, excludeIds = []) {
+  const exclude = new Set(excludeIds.map(id => id.toString()));
+  const ids = [...new Set(userIds)].filter(id => !exclude.has(id));
+  const users = await User.find({ _id: { $in: ids } }).select('_id');
+
+  for (const user of users) {
+    if (await blockedBetween(actorId, user._id)) {
+      return { status: 403, error: 'You cannot add users you have blocked or who have blocked you' };
+    }
+  }
+  return { users };
+}
+
+// @route   GET /api/conversations
+// @desc    Direct and group conversations, most recently active first (paginate with ?before=<lastMessageAt>)
+// @access  Private
+router.get('/', auth, validate({ query: listQuery }), async (req, res, next) => {
+  try {
+    const query = { members: req.userId };
+    if (req.query.before) query.lastMessageAt = { $lt: req.query.before };
+    const limit = parseLimit(req.query.limit);
+
+    const conversations = await Conversation.find(query)
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .populate('members', 'username profilePic');
+
+    const results = await Promise.all(conversations.map(async (conversation) => {
+      const lastMessage = await ChatMessage.findOne({ conversation: conversation._id, ...ChatMessage.visible() })
+        .sort({ createdAt: -1 })
+        .populate('sender', 'username');
+      // Direct chats keep per-message read flags; groups use the member's read position
+      const unread = conversation.type === 'direct'
+        ? await ChatMessage.countDocuments({
+          conversation: conversation._id,
+          receiver: req.userId,
+          read: false,
+          system: null,
+          ...ChatMessage.visible()
+        })
+        : await unreadCount(conversation, req.userId);
+
+      return {
+        _id: conversation._id,
+        type: conversation.type,
+        name: conversation.name,
+        avatar: conversation.avatar,
+        members: conversation.members,
+        admins: conversation.admins,
+        // The other person, for direct chats (null if their account is gone)
+        user: conversation.type === 'direct'
+          ? conversation.members.find(m => m._id.toString() !== req.userId) || null
+          : undefined,
+        lastMessage: lastMessage ? {
+          _id: lastMessage._id,
+          sender: lastMessage.sender,
+          text: messagePreview(lastMessage),
+          system: Boolean(lastMessage.system),
+          createdAt: lastMessage.createdAt
+        } : null,
+        lastMessageAt: conversation.lastMessageAt,
+        unreadCount: unread,
+        muted: conversation.isMutedBy(req.userId)
+      };
+    }));
+
+    res.json(results.filter(c => c.type === 'group' || c.user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Create a group ({ name, memberIds }); the creator becomes its admin
+// @access  Private
+router.post('/', auth, validate({ body: createBody }), async (req, res, next) => {
+  try {
+    const { name, memberIds } = req.body;
+
+    const result = await loadNewMembers(req.userId, memberIds, [req.userId]);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    if (result.users.length === 0) {
+      return res.status(400).json({ error: 'Add at least one other member' });
+    }
+    if (result.users.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const now = new Date();
+    const conversation = new Conversation({
+      type: 'group',
+      name,
+      members: [req.userId, ...result.users.map(u => u._id)],
+      admins: [req.userId],
+      createdBy: req.userId,
+      readState: [{ user: req.userId, lastReadAt: now }],
+      lastMessageAt: now
+    });
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'created');
+    await postSystemMessage(io, conversation, req.userId, 'member_added', result.users.map(u => u._id));
+    await emitConversationUpdate(io, conversation);
+
+    res.status(201).json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/conversations/with/:userId
+// @desc    The direct conversation with a user (created if you haven't chatted yet)
+// @access  Private
+router.get('/with/:userId', auth, validate({ params: withParams }), async (req, res, next) => {
+  try {
+    if (req.params.userId === req.userId) {
+      return res.status(400).json({ error: 'You cannot message yourself' });
+    }
+    const target = await resolveMessageTarget(req.userId, { receiverId: req.params.userId });
+    if (target.error) return res.status(target.status).json({ error: target.error });
+
+    const conversation = await Conversation.findOrCreateDirect(req.userId, target.receiverId);
+    await conversation.populate('members', 'username profilePic');
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Conversation details with members
+// @access  Private (members)
+router.get('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, members: req.userId })
+      .populate('members', 'username profilePic')
+      .populate('admins', 'username profilePic');
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/conversations/:id
+// @desc    Rename a group
+// @access  Private (group admins)
+router.put('/:id', auth, validate({ params: idParams, body: renameBody }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!isAdmin(conversation, req.userId)) {
+      return res.status(403).json({ error: 'Only group admins can do that' });
+    }
+
+    const { name } = req.body;
+    if (name === conversation.name) return res.json(conversation);
+
+    conversation.name = name;
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'renamed');
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/conversations/:id/retention
+// @desc    Set how long new messages are kept ({ retention: forever | 24h | 1h | after_read })
+// @access  Private (members)
+router.put('/:id/retention', auth, validate({ params: idParams, body: retentionBody }), async (req, res, next) => {
+  try {
+    const { retention } = req.body;
+    const conversation = await Conversation.findOne({ _id: req.params.id, members: req.userId });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (conversation.retention === retention) return res.json(conversation);
+
+    // Either person in a direct chat can change it, as long as neither has blocked the other
+    if (conversation.type === 'direct') {
+      const otherId = conversation.members.find(m => m.toString() !== req.userId);
+      if (!otherId || (await blockedBetween(req.userId, otherId))) {
+        return res.status(403).json({ error: 'You cannot message this user' });
+      }
+    }
+
+    conversation.retention = retention;
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'retention_changed');
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/conversations/:id/mute
+// @desc    Stop push notifications from a conversation ({ minutes } to mute for a while, omit for indefinitely)
+// @access  Private (members)
+router.put('/:id/mute', auth, validate({ params: idParams, body: muteBody }), async (req, res, next) => {
+  try {
+    const { minutes } = req.body;
+    const conversation = await Conversation.findOne({ _id: req.params.id, members: req.userId });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    const until = minutes ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    conversation.mutes = conversation.mutes.filter(m => m.user.toString() !== req.userId);
+    conversation.mutes.push({ user: req.userId, until });
+    await conversation.save();
+
+    res.json({ muted: true, until });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/conversations/:id/mute
+// @desc    Unmute a conversation
+// @access  Private (members)
+router.delete('/:id/mute', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, members: req.userId },
+      { $pull: { mutes: { user: req.userId } } }
+    );
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    res.json({ muted: false });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations/:id/avatar
+// @desc    Set the group photo (multipart: avatar)
+// @access  Private (group admins)
+router.post('/:id/avatar', auth, rateLimit('upload'), validate({ params: idParams }), handleUpload(upload.single('avatar')), validateUpload({}, ['avatar']), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation || !isAdmin(conversation, req.userId)) {
+      await rollbackUploads([req.file]);
+      return conversation
+        ? res.status(403).json({ error: 'Only group admins can do that' })
+        : res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const previousAvatar = conversation.avatar;
+    conversation.avatar = req.file.path;
+    try {
+      await conversation.save();
+    } catch (saveErr) {
+      await rollbackUploads([req.file]);
+      throw saveErr;
+    }
+    if (previousAvatar && previousAvatar !== conversation.avatar) {
+      await deleteMediaByUrl(previousAvatar);
+    }
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'avatar_changed');
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations/:id/members
+// @desc    Add members to a group ({ userIds })
+// @access  Private (group admins)
+router.post('/:id/members', auth, validate({ params: idParams, body: membersBody }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!isAdmin(conversation, req.userId)) {
+      return res.status(403).json({ error: 'Only group admins can do that' });
+    }
+
+    const result = await loadNewMembers(req.userId, req.body.userIds, conversation.members);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    if (result.users.length === 0) {
+      return res.status(400).json({ error: 'No new members to add' });
+    }
+    if (conversation.members.length + result.users.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const addedIds = result.users.map(u => u._id);
+    const now = new Date();
+    conversation.members.push(...addedIds);
+    conversation.readState.push(...addedIds.map(user => ({ user, lastReadAt: now, joinedAt: now })));
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'member_added', addedIds);
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/conversations/:id/members/:userId
+// @desc    Remove a member from a group
+// @access  Private (group admins)
+router.delete('/:id/members/:userId', auth, validate({ params: memberParams }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!isAdmin(conversation, req.userId)) {
+      return res.status(403).json({ error: 'Only group admins can do that' });
+    }
+    if (req.params.userId === req.userId) {
+      return res.status(400).json({ error: 'Use leave to remove yourself' });
+    }
+    if (!isMember(conversation, req.params.userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const updated = await removeMember(req.app.get('socketio'), conversation, req.params.userId, req.userId);
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations/:id/admins/:userId
+// @desc    Make a member an admin
+// @access  Private (group admins)
+router.post('/:id/admins/:userId', auth, validate({ params: memberParams }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!isAdmin(conversation, req.userId)) {
+      return res.status(403).json({ error: 'Only group admins can do that' });
+    }
+    if (!isMember(conversation, req.params.userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (isAdmin(conversation, req.params.userId)) {
+      return res.status(400).json({ error: 'Already an admin' });
+    }
+
+    conversation.admins.push(req.params.userId);
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'admin_added', [req.params.userId]);
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/conversations/:id/admins/:userId
+// @desc    Take admin rights away from a member (a group keeps at least one admin)
+// @access  Private (group admins)
+router.delete('/:id/admins/:userId', auth, validate({ params: memberParams }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!isAdmin(conversation, req.userId)) {
+      return res.status(403).json({ error: 'Only group admins can do that' });
+    }
+    if (!isAdmin(conversation, req.params.userId)) {
+      return res.status(400).json({ error: 'Not an admin' });
+    }
+    if (conversation.admins.length === 1) {
+      return res.status(400).json({ error: 'A group needs at least one admin' });
+    }
+
+    conversation.admins = conversation.admins.filter(a => a.toString() !== req.params.userId);
+    await conversation.save();
+
+    const io = req.app.get('socketio');
+    await postSystemMessage(io, conversation, req.userId, 'admin_removed', [req.params.userId]);
+    await emitConversationUpdate(io, conversation);
+
+    res.json(conversation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations/:id/leave
+// @desc    Leave a group
+// @access  Private (members)
+router.post('/:id/leave', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const conversation = await findGroup(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    await removeMember(req.app.get('socketio'), conversation, req.userId, req.userId);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark the conversation as read up to now
+// @access  Private (members)
+router.put('/:id/read', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, members: req.userId });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    const io = req.app.get('socketio');
+    if (conversation.type === 'direct') {
+      await markRead(io, req.userId, { conversation: conversation._id });
+    }
+    const readAt = await markConversationRead(conversation, req.userId);
+
+    io.to(conversation.members.map(m => m.toString())).emit('conversation-read', {
+      conversationId: conversation._id,
+      userId: req.userId,
+      readAt
+    });
+
+    res.json({ success: true, readAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Messages in a conversation, newest page first (paginate with ?before=<messageId>)
+// @access  Private (members)
+router.get('/:id/messages', auth, validate({ params: idParams, query: messagesQuery }), async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, members: req.userId }).select('readState');
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    // Members added later don't see what was said before they joined
+    const query = { conversation: req.params.id, ...ChatMessage.visible() };
+    const since = joinedAt(conversation, req.userId);
+    if (since) query.createdAt = { $gte: since };
+    if (req.query.before) query._id = { $lt: req.query.before };
+    const limit = parseLimit(req.query.limit);
+
+    const messages = await ChatMessage.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('sender', 'username profilePic')
+      .populate('receiver', 'username profilePic')
+      .populate({ path: 'replyTo', select: 'message sender attachment', match: ChatMessage.visible() })
+      .populate('story', 'media caption expiresAt');
+
+    // Fetching history counts as delivery for anything not yet acknowledged
+    await markDelivered(req.app.get('socketio'), req.userId, { _id: { $in: messages.map(m => m._id) } });
+
+    // Return messages in chronological order (oldest first)
+    res.json(messages.reverse());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a text message to a conversation (fallback if socket fails)
+// @access  Private (members)
+router.post('/:id/messages', auth, rateLimit('message'), validate({ params: idParams, body: messageBody }), async (req, res, next) => {
+  try {
+    const { message, replyTo } = req.body;
+
+    const target = await resolveMessageTarget(req.userId, { conversationId: req.params.id, replyTo });
+    if (target.error) return res.status(target.status).json({ error: target.error });
+
+    const newMessage = new ChatMessage({
+      sender: req.userId,
+      receiver: target.receiverId,
+      conversation: target.conversation._id,
+      message,
+      replyTo: replyTo || null
+    });
+    await newMessage.save();
+
+    await deliverMessage(req.app.get('socketio'), newMessage);
+    res.json(newMessage);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { parseLimit, decodeCursor, findPhotoPage, homeFeedFilter } = require('../utils/feed');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const feedQuery = z.object({ cursor: schemas.cursor(decodeCursor), limit: schemas.limit });
+
+// @route   GET /api/feed
+// @desc    Home feed: posts from followed accounts and your own (cursor paginated)
+// @access  Private
+router.get('/', auth, validate({ query: feedQuery }), async (req, res, next) => {
+  try {
+    const filter = await homeFeedFilter(req.userId);
+    if (!filter) return res.status(404).json({ error: 'User not found' });
+
+    const page = await findPhotoPage(filter, {
+      after: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      viewerId: req.userId
+    });
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
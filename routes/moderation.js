@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { REPORT_TARGET_TYPES } = require('../models/Report');
+const { parseLimit, encodeCursor, decodeCursor } = require('../utils/feed');
+const { MODERATION_ACTIONS, resolveReport, withTargetContent } = require('../utils/moderation');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const reportParams = z.object({ id: schemas.objectId });
+const queueQuery = z.object({
+  status: z.enum(['open', 'resolved']).default('open'),
+  targetType: z.enum(REPORT_TARGET_TYPES).optional(),
+  cursor: schemas.cursor(decodeCursor),
+  limit: schemas.limit
+});
+const resolveBody = z.object({
+  action: z.enum(MODERATION_ACTIONS),
+  note: z.string().trim().max(1000, 'Notes are limited to 1000 characters').optional(),
+  // With warn or suspend: hide the reported content as well
+  hide: z.boolean().optional(),
+  durationDays: z.number().int('Must be a whole number').min(1).max(365).optional()
+});
+const auditQuery = z.object({
+  actor: schemas.objectId.optional(),
+  subject: schemas.objectId.optional(),
+  cursor: schemas.cursor(decodeCursor),
+  limit: schemas.limit
+});
+
+const REPORTER_FIELDS = 'username profilePic';
+
+// Everything here is for moderators and admins
+router.use(auth, requireRole('moderator', 'admin'));
+
+// @route   GET /api/moderation/reports?status=open|resolved&targetType=&cursor=&limit=
+// @desc    The review queue: open cases oldest first, or resolved ones newest first
+// @access  Moderators
+router.get('/reports', validate({ query: queueQuery }), async (req, res, next) => {
+  try {
+    const { status, targetType, cursor: after } = req.query;
+
+    const limit = parseLimit(req.query.limit);
+    const direction = status === 'open' ? 1 : -1;
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    const filter = { status };
+    if (targetType) filter.targetType = targetType;
+    if (after) {
+      filter.$or = [
+        { createdAt: { [beyond]: after.createdAt } },
+        { createdAt: after.createdAt, _id: { [beyond]: after.id } }
+      ];
+    }
+
+    const reports = await Report.find(filter)
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1)
+      .populate('author', REPORTER_FIELDS)
+      .populate('reports.reporter', REPORTER_FIELDS);
+    const hasMore = reports.length > limit;
+    const page = reports.slice(0, limit);
+
+    res.json({
+      reports: await withTargetContent(page),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/moderation/reports/:id
+// @desc    One case with every report, the reported content and its audit trail
+// @access  Moderators
+router.get('/reports/:id', validate({ params: reportParams }), async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('author', REPORTER_FIELDS)
+      .populate('reports.reporter', REPORTER_FIELDS)
+      .populate('resolution.moderator', REPORTER_FIELDS);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+
+    const [withContent] = await withTargetContent([report]);
+    const audit = await AuditLog.find({ report: report._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .populate('actor', REPORTER_FIELDS);
+    res.json({ ...withContent, audit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/moderation/reports/:id/resolve
+// @desc    Dismiss the report, hide the content, or warn/suspend its author.
+//          Body: { action, note?, hide?, durationDays? }
+// @access  Moderators
+router.post('/reports/:id/resolve', validate({ params: reportParams, body: resolveBody }), async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Report has already been resolved' });
+    }
+
+    const { action, note, hide, durationDays } = req.body;
+    if (report.targetType === 'user' && (action === 'hide' || hide)) {
+      return res.status(400).json({ error: 'Accounts cannot be hidden; warn or suspend instead' });
+    }
+    if (durationDays && action !== 'suspend') {
+      return res.status(400).json({ error: 'durationDays only applies to suspend' });
+    }
+
+    const resolved = await resolveReport(req.app.get('socketio'), report, req.userId, {
+      action,
+      note,
+      hide,
+      durationDays
+    });
+    if (!resolved) {
+      return res.status(409).json({ error: 'Report has already been resolved' });
+    }
+    res.json(resolved);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/moderation/audit?actor=&subject=&cursor=&limit=
+// @desc    The audit trail of moderator actions, newest first
+// @access  Moderators
+router.get('/audit', validate({ query: auditQuery }), async (req, res, next) => {
+  try {
+    const { actor, subject, cursor: after } = req.query;
+
+    const limit = parseLimit(req.query.limit);
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (subject) filter.subject = subject;
+    if (after) {
+      filter.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after.id } }
+      ];
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('actor', REPORTER_FIELDS)
+      .populate('subject', REPORTER_FIELDS);
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.json({
+      entries: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,143 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { parseLimit, encodeCursor, decodeCursor } = require('../utils/feed');
+const { serializeNotifications, unreadNotificationCount, emitUnreadCount } = require('../utils/notifications');
+const {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  TIME_OF_DAY,
+  isValidTimeZone,
+  serializePreferences
+} = require('../utils/notificationPrefs');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
 
-// @route   GET /api/notifications
-// @desc    Get current user's notifications
+const listQuery = z.object({ cursor: schemas.cursor(decodeCursor), limit: schemas.limit });
+const idParams = z.object({ id: schemas.objectId });
+
+// Every type's channels can be switched on or off, except `locked` ones
+const typeSettings = z.strictObject(Object.fromEntries(
+  Object.entries(NOTIFICATION_TYPES).map(([type, { locked = [] }]) => [
+    type,
+    z.strictObject(Object.fromEntries(CHANNELS.map(channel => [
+      channel,
+      locked.includes(channel)
+        ? z.literal(true, { error: 'Cannot be turned off' }).optional()
+        : z.boolean({ error: 'Must be true or false' }).optional()
+    ]))).optional()
+  ])
+));
+const timeOfDay = z.string().regex(TIME_OF_DAY, 'Must be HH:MM');
+const preferencesBody = z.object({
+  types: typeSettings.optional(),
+  quietHours: z.strictObject({
+    enabled: z.boolean({ error: 'Must be true or false' }).optional(),
+    start: timeOfDay.optional(),
+    end: timeOfDay.optional(),
+    timezone: z.string().refine(isValidTimeZone, 'Must be an IANA time zone, e.g. Europe/Paris').optional(),
+    action: z.enum(['hold', 'drop']).optional()
+  }).optional()
+});
+
+// @route   GET /api/notifications?cursor=&limit=
+// @desc    Get current user's notifications, most recent activity first
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({ query: listQuery }), async (req, res, next) => {
   try {
-    const notifications = await Notification.find({ recipient: req.userId })
-      .populate('sender', 'username profilePic')
+    const limit = parseLimit(req.query.limit);
+    const after = req.query.cursor;
+
+    // Hide anything from users the recipient has since muted
+    const me = await User.findById(req.userId).select('muted');
+    const filter = {
+      recipient: req.userId,
+      sender: { $nin: me ? me.muted : [] }
+    };
+    if (after) {
+      filter.$or = [
+        { latestAt: { $lt: after.createdAt } },
+        { latestAt: after.createdAt, _id: { $lt: after.id } }
+      ];
+    }
+
+    const notifications = await Notification.find(filter)
       .populate('photo', 'imageUrl')
-      .sort({ createdAt: -1 })
-      .limit(20);
-    res.json(notifications);
+      .sort({ latestAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      notifications: await serializeNotifications(page),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'latestAt') : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (for the badge)
+// @access  Private
+router.get('/unread-count', auth, async (req, res, next) => {
+  try {
+    res.json({ count: await unreadNotificationCount(req.userId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Per-type channel settings and quiet hours
+// @access  Private
+router.get('/preferences', auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('notificationSettings');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(serializePreferences(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update settings, e.g. { types: { like: { push: false } }, quietHours: { enabled: true, start: '22:00', end: '07:00', timezone: 'Europe/Paris', action: 'hold' } }
+// @access  Private
+router.put('/preferences', auth, validate({ body: preferencesBody }), async (req, res, next) => {
+  try {
+    const { types, quietHours } = req.body;
+
+    const user = await User.findById(req.userId).select('notificationSettings');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Only the fields sent are changed
+    Object.entries(types || {}).forEach(([type, channels]) => {
+      const current = user.notificationSettings.types.get(type);
+      user.notificationSettings.types.set(type, {
+        inApp: current ? current.inApp : undefined,
+        push: current ? current.push : undefined,
+        ...channels
+      });
+    });
+    Object.entries(quietHours || {}).forEach(([field, value]) => {
+      user.notificationSettings.quietHours[field] = value;
+    });
+    await user.save();
+
+    res.json(serializePreferences(user));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark a notification as read
 // @access  Private
-router.put('/:id/read', auth, async (req, res) => {
+router.put('/:id/read', auth, validate({ params: idParams }), async (req, res, next) => {
   try {
     const notification = await Notification.findById(req.params.id);
     if (!notification) return res.status(404).json({ error: 'Not found' });
@@ -31,26 +145,27 @@ router.put('/:id/read', auth, async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     notification.read = true;
     await notification.save();
+    // Keep the badge in sync on the user's other devices
+    await emitUnreadCount(req.app.get('socketio'), req.userId);
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   PUT /api/notifications/read-all
 // @desc    Mark all notifications as read
 // @access  Private
-router.put('/read-all', auth, async (req, res) => {
+router.put('/read-all', auth, async (req, res, next) => {
   try {
     await Notification.updateMany(
       { recipient: req.userId, read: false },
       { $set: { read: true } }
     );
+    await emitUnreadCount(req.app.get('socketio'), req.userId);
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
@@ -1,127 +1,281 @@
 const express = require('express');
 const router = express.Router();
 const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
 const User = require('../models/User');               // added for sender info
-const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
-const sendPushNotification = require('../utils/sendPushNotification'); // added
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const optionalAuth = require('../middleware/optionalAuth');
+const notify = require('../utils/notify');
+const { retractNotification } = require('../utils/notifications');
+const { blockedBetween, hiddenUserIds, photoAccessError } = require('../utils/privacy');
+const { findCommentPage, serializeComment } = require('../utils/comments');
+const { extractEntities, updateHashtagCounts, notifyMentions } = require('../utils/entities');
+const { removePhoto } = require('../utils/photos');
+const { parseLimit, decodeCursor, findPhotoPage, globalFeedFilter } = require('../utils/feed');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const idParams = z.object({ id: schemas.objectId });
+const pageQuery = z.object({ cursor: schemas.cursor(decodeCursor), limit: schemas.limit });
+const commentBody = z.object({
+  text: schemas.commentText,
+  parentId: schemas.objectId.nullish()
+});
+const editBody = z.object({ caption: schemas.caption });
+
+// @route   GET /api/photos
+// @desc    Public global feed (cursor paginated), respecting privacy and blocks
+// @access  Public
+router.get('/', optionalAuth, validate({ query: pageQuery }), async (req, res, next) => {
+  try {
+    const page = await findPhotoPage(await globalFeedFilter(req.userId), {
+      after: req.query.cursor,
+      limit: parseLimit(req.query.limit),
+      viewerId: req.userId
+    });
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
 
 // @route   GET /api/photos/:id
 // @desc    Get a single photo by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, validate({ params: idParams }), async (req, res, next) => {
   try {
     const photo = await Photo.findById(req.params.id)
-      .populate('user', 'username profilePic')
-      .populate('comments.user', 'username profilePic');
+      .populate('user', 'username profilePic');
     if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
     res.json(photo);
   } catch (err) {
-    console.error(err);
-    if (err.name === 'CastError') {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   POST /api/photos/:id/like
 // @desc    Toggle like on a photo
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, rateLimit('like'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const photo = await Photo.findById(req.params.id);
+    const photo = await Photo.findById(req.params.id).select('user hiddenAt');
     if (!photo) return res.status(404).json({ error: 'Photo not found' });
 
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    if (await blockedBetween(photo.user, req.userId)) {
+      return res.status(403).json({ error: 'You cannot interact with this photo' });
+    }
+
+    // Like if not liked yet, otherwise unlike; each is a single update so
+    // concurrent toggles can't overwrite each other
     const userId = req.userId;
-    const liked = photo.likes.includes(userId);
+    const added = await Photo.findOneAndUpdate(
+      { _id: photo._id, likes: { $ne: userId } },
+      { $addToSet: { likes: userId } },
+      { returnDocument: 'after' }
+    );
+    const updated = added || await Photo.findByIdAndUpdate(
+      photo._id,
+      { $pull: { likes: userId } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'Photo not found' });
+    const liked = Boolean(added);
 
-    if (liked) {
-      photo.likes = photo.likes.filter(id => id.toString() !== userId.toString());
-    } else {
-      photo.likes.push(userId);
+    if (!liked) {
+      await retractNotification(req.app.get('socketio'), {
+        recipient: photo.user,
+        sender: userId,
+        type: 'like',
+        photo: photo._id
+      });
+    } else if (photo.user.toString() !== userId.toString()) {
       // Create notification and send push if liker is not the owner
-      if (photo.user.toString() !== userId.toString()) {
-        await Notification.create({
-          recipient: photo.user,
-          sender: userId,
-          type: 'like',
-          photo: photo._id
-        });
-        const sender = await User.findById(userId).select('username');
-        await sendPushNotification(photo.user, {
-          title: '❤️ New Like',
-          body: `${sender.username} liked your photo`,
-          data: { url: `/photo/${photo._id}` }
-        });
-      }
+      const sender = await User.findById(userId).select('username');
+      await notify(req.app.get('socketio'), {
+        recipient: photo.user,
+        sender: userId,
+        type: 'like',
+        photo: photo._id
+      }, {
+        title: '❤️ New Like',
+        body: `${sender.username} liked your photo`,
+        data: { url: `/photo/${photo._id}` }
+      });
     }
 
-    await photo.save();
-    res.json({ likes: photo.likes.length, liked: !liked });
+    res.json({ likes: updated.likes.length, liked });
   } catch (err) {
-    console.error(err);
-    if (err.name === 'CastError') {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   GET /api/photos/:id/comments
+// @desc    Get top-level comments on a photo (cursor paginated, oldest first)
+// @access  Public
+router.get('/:id/comments', optionalAuth, validate({ params: idParams, query: pageQuery }), async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.id).select('user hiddenAt');
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const hidden = await hiddenUserIds(req.userId, { includeMuted: true });
+    const page = await findCommentPage(
+      { photo: photo._id, parent: null, user: { $nin: hidden } },
+      { after: req.query.cursor, limit: parseLimit(req.query.limit), viewerId: req.userId }
+    );
+    res.json(page);
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   POST /api/photos/:id/comment
-// @desc    Add a comment to a photo
+// @desc    Add a comment to a photo, or a reply when parentId is given
 // @access  Private
-router.post('/:id/comment', auth, async (req, res) => {
+router.post('/:id/comment', auth, rateLimit('comment'), validate({ params: idParams, body: commentBody }), async (req, res, next) => {
   try {
-    const { text } = req.body;
-    if (!text || text.trim() === '') {
-      return res.status(400).json({ error: 'Comment text is required' });
-    }
+    const { text, parentId } = req.body;
 
     const photo = await Photo.findById(req.params.id);
     if (!photo) return res.status(404).json({ error: 'Photo not found' });
 
-    const comment = {
+    const denied = await photoAccessError(photo, req.userId);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    if (await blockedBetween(photo.user, req.userId)) {
+      return res.status(403).json({ error: 'You cannot interact with this photo' });
+    }
+
+    // Replies are one level deep: a reply to a reply joins the same thread
+    let repliedTo = null;
+    if (parentId) {
+      repliedTo = await Comment.findOne({ _id: parentId, photo: photo._id });
+      if (!repliedTo) return res.status(404).json({ error: 'Parent comment not found' });
+      if (await blockedBetween(repliedTo.user, req.userId)) {
+        return res.status(403).json({ error: 'You cannot reply to this comment' });
+      }
+    }
+    const threadId = repliedTo ? (repliedTo.parent || repliedTo._id) : null;
+    const { hashtags, mentions } = await extractEntities(text);
+
+    const newComment = await Comment.create({
+      photo: photo._id,
       user: req.userId,
-      text: text.trim(),
-      createdAt: new Date()
-    };
+      text,
+      parent: threadId,
+      hashtags,
+      mentions
+    });
+    await updateHashtagCounts([], hashtags);
 
-    photo.comments.push(comment);
-    await photo.save();
+    await Photo.updateOne({ _id: photo._id }, { $inc: { commentsCount: 1 } });
+    if (threadId) {
+      await Comment.updateOne({ _id: threadId }, { $inc: { repliesCount: 1 } });
+    }
 
-    await photo.populate('comments.user', 'username profilePic');
-    const newComment = photo.comments[photo.comments.length - 1];
+    await newComment.populate('user', 'username profilePic');
 
-    if (photo.user.toString() !== req.userId.toString()) {
-      await Notification.create({
+    const sender = await User.findById(req.userId).select('username');
+    const preview = `${text.substring(0, 30)}${text.length > 30 ? '...' : ''}`;
+
+    // A photo owner being replied to gets the reply notification instead
+    const ownerIsRepliedTo = repliedTo && repliedTo.user.equals(photo.user);
+
+    if (photo.user.toString() !== req.userId.toString() && !ownerIsRepliedTo) {
+      await notify(req.app.get('socketio'), {
         recipient: photo.user,
         sender: req.userId,
         type: 'comment',
-        photo: photo._id
-      });
-      const sender = await User.findById(req.userId).select('username');
-      await sendPushNotification(photo.user, {
+        photo: photo._id,
+        comment: newComment._id
+      }, {
         title: '💬 New Comment',
-        body: `${sender.username} commented: "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}"`,
+        body: `${sender.username} commented: "${preview}"`,
         data: { url: `/photo/${photo._id}` }
       });
     }
 
-    res.json(newComment);
+    if (repliedTo) {
+      await notify(req.app.get('socketio'), {
+        recipient: repliedTo.user,
+        sender: req.userId,
+        type: 'reply',
+        photo: photo._id,
+        comment: newComment._id
+      }, {
+        title: '↩️ New Reply',
+        body: `${sender.username} replied: "${preview}"`,
+        data: { url: `/photo/${photo._id}` }
+      });
+    }
+
+    await notifyMentions(req.app.get('socketio'), mentions, {
+      sender: req.userId,
+      photo: photo._id,
+      comment: newComment._id,
+      text,
+      // Whoever was just notified about the comment or reply doesn't need a mention too
+      alreadyNotified: [photo.user, repliedTo && repliedTo.user].filter(Boolean)
+    });
+
+    res.json(serializeComment(newComment, req.userId));
   } catch (err) {
-    console.error(err);
-    if (err.name === 'CastError') {
-      return res.status(404).json({ error: 'Photo not found' });
+    next(err);
+  }
+});
+
+// @route   PUT /api/photos/:id
+// @desc    Edit a photo's caption (only owner)
+// @access  Private
+router.put('/:id', auth, validate({ params: idParams, body: editBody }), async (req, res, next) => {
+  try {
+    const { caption } = req.body;
+
+    const photo = await Photo.findById(req.params.id);
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    if (photo.user.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
-    res.status(500).json({ error: 'Server error' });
+
+    const { hashtags, mentions } = await extractEntities(caption);
+    const previousTags = photo.hashtags;
+    const previousMentions = photo.mentions;
+
+    photo.caption = caption;
+    photo.hashtags = hashtags;
+    photo.mentions = mentions;
+    await photo.save();
+
+    await updateHashtagCounts(previousTags, hashtags);
+    await notifyMentions(req.app.get('socketio'), mentions, {
+      sender: req.userId,
+      photo: photo._id,
+      text: caption,
+      alreadyNotified: previousMentions
+    });
+
+    await photo.populate('user', 'username profilePic');
+    res.json(photo);
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   DELETE /api/photos/:id
 // @desc    Delete a photo (only owner)
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
   try {
     const photo = await Photo.findById(req.params.id);
     if (!photo) return res.status(404).json({ error: 'Photo not found' });
@@ -130,14 +284,10 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    await photo.deleteOne();
+    await removePhoto(photo);
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    if (err.name === 'CastError') {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
@@ -1,20 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
 const PushSubscription = require('../models/PushSubscription');
-const webpush = require('web-push');
+const PushDelivery = require('../models/PushDelivery');
+const { parseLimit, encodeCursor, decodeCursor } = require('../utils/feed');
 
-// Set VAPID details
-webpush.setVapidDetails(
-  process.env.VAPID_SUBJECT,
-  process.env.VAPID_PUBLIC_KEY,
-  process.env.VAPID_PRIVATE_KEY
-);
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const DELIVERY_STATUSES = PushDelivery.schema.path('status').enumValues;
+
+// A browser PushSubscription as serialized by toJSON()
+const subscribeBody = z.object({
+  endpoint: z.url({ protocol: /^https$/, error: 'Must be an https URL' }),
+  keys: z.object({
+    auth: z.string().min(1, 'Required'),
+    p256dh: z.string().min(1, 'Required')
+  })
+});
+const unsubscribeBody = z.object({ endpoint: z.string().min(1, 'Required') });
+const deliveriesQuery = z.object({
+  status: z.enum(DELIVERY_STATUSES).optional(),
+  cursor: schemas.cursor(decodeCursor),
+  limit: schemas.limit
+});
 
 // @route   POST /api/push/subscribe
 // @desc    Save a new push subscription
 // @access  Private
-router.post('/subscribe', auth, async (req, res) => {
+router.post('/subscribe', auth, validate({ body: subscribeBody }), async (req, res, next) => {
   try {
     const { endpoint, keys } = req.body;
     // Remove any old subscription with the same endpoint
@@ -27,22 +42,53 @@ router.post('/subscribe', auth, async (req, res) => {
     await subscription.save();
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   DELETE /api/push/unsubscribe
 // @desc    Remove a push subscription (when user logs out or disables)
 // @access  Private
-router.delete('/unsubscribe', auth, async (req, res) => {
+router.delete('/unsubscribe', auth, validate({ body: unsubscribeBody }), async (req, res, next) => {
   try {
     const { endpoint } = req.body;
     await PushSubscription.deleteMany({ endpoint, user: req.userId });
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   GET /api/push/deliveries?status=&cursor=&limit=
+// @desc    Delivery log of the current user's pushes, newest first
+// @access  Private
+router.get('/deliveries', auth, validate({ query: deliveriesQuery }), async (req, res, next) => {
+  try {
+    const { status, cursor: after } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const filter = { user: req.userId };
+    if (status) filter.status = status;
+    if (after) {
+      filter.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after.id } }
+      ];
+    }
+
+    const deliveries = await PushDelivery.find(filter)
+      .select('-user -job')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = deliveries.length > limit;
+    const page = deliveries.slice(0, limit);
+
+    res.json({
+      deliveries: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require('../models/Report');
+const { reportTarget, fileReport } = require('../utils/moderation');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const reportBody = z.object({
+  targetType: z.enum(REPORT_TARGET_TYPES),
+  targetId: schemas.objectId,
+  reason: z.enum(REPORT_REASONS),
+  details: z.string().trim().max(500, 'Details are limited to 500 characters').optional()
+});
+
+// @route   POST /api/reports
+// @desc    Report a photo, comment, message or account to the moderators.
+//          Reports of the same target are collected into one case.
+// @access  Private
+router.post('/', auth, rateLimit('report'), validate({ body: reportBody }), async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const target = await reportTarget(targetType, targetId, req.userId);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+
+    const { report, duplicate } = await fileReport(req.userId, {
+      targetType,
+      target: targetId,
+      author: target.author,
+      reason,
+      details
+    });
+    // The reporter only learns that it was received, not who else reported it
+    res.status(duplicate ? 200 : 201).json({
+      reportId: report._id,
+      alreadyReported: duplicate
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
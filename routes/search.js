@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { parseLimit } = require('../utils/feed');
+const { SEARCH_TYPES, normalizeQuery, decodeOffsetCursor, search } = require('../utils/search');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+// Results per group when searching everything at once (typeahead)
+const PREVIEW_LIMIT = 5;
+
+const searchQuery = z.object({
+  q: z.string().optional(),
+  type: z.enum(['all', ...SEARCH_TYPES]).default('all'),
+  cursor: schemas.cursor(decodeOffsetCursor),
+  limit: schemas.limit
+}).refine(query => query.type !== 'all' || query.cursor === undefined, {
+  message: 'A cursor needs a single type',
+  path: ['cursor']
+});
+
+// @route   GET /api/search?q=&type=all|users|photos|tags&cursor=&limit=
+// @desc    Search users, photo captions and hashtags, best matches first and
+//          grouped by type. Page through one type with its nextCursor.
+// @access  Private
+router.get('/', auth, rateLimit('search'), validate({ query: searchQuery }), async (req, res, next) => {
+  try {
+    const { type, cursor: offset = 0 } = req.query;
+    const query = normalizeQuery(req.query.q);
+    const types = type === 'all' ? SEARCH_TYPES : [type];
+    if (!query) {
+      return res.json(Object.fromEntries(types.map(t => [t, { results: [], nextCursor: null }])));
+    }
+
+    const limit = type === 'all' ? PREVIEW_LIMIT : parseLimit(req.query.limit);
+    res.json(await search(req.userId, query, types, { offset, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
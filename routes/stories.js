@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { canViewContent, hasBlocked, blockedBetween, hiddenUserIds } = require('../utils/privacy');
+const { deliverMessage } = require('../utils/chat');
+const { removeStories } = require('../utils/storyCleanup');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+const idParams = z.object({ id: schemas.objectId });
+const userParams = z.object({ userId: schemas.objectId });
+const replyBody = z.object({ message: schemas.chatText.min(1, 'Message is required') });
+
+// POST /api/stories (the upload itself) lives in server.js next to /api/upload
+
+// The active story `storyId` if `viewerId` may see it (the same rule as the
+// tray and a user's stories), otherwise null
+async function findViewableStory(storyId, viewerId) {
+  const story = await Story.findOne({ _id: storyId, expiresAt: { $gt: new Date() } });
+  if (!story) return null;
+  const owner = await User.findById(story.user).select('isPrivate followers blocked');
+  if (!owner || hasBlocked(owner, viewerId) || !canViewContent(owner, viewerId)) return null;
+  return story;
+}
+
+// @route   GET /api/stories/tray
+// @desc    Accounts you follow (and yourself) that have active stories
+// @access  Private
+router.get('/tray', auth, async (req, res, next) => {
+  try {
+    const viewer = await User.findById(req.userId).select('following');
+    if (!viewer) return res.status(404).json({ error: 'User not found' });
+    const hidden = await hiddenUserIds(req.userId, { includeMuted: true });
+
+    const groups = await Story.aggregate([
+      {
+        $match: {
+          user: { $in: [viewer._id, ...viewer.following], $nin: hidden },
+          expiresAt: { $gt: new Date() }
+        }
+      },
+      {
+        $group: {
+          _id: '$user',
+          storyIds: { $push: '$_id' },
+          latestAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    const allIds = groups.flatMap(g => g.storyIds);
+    const [seen, users] = await Promise.all([
+      StoryView.find({ viewer: req.userId, story: { $in: allIds } }).distinct('story'),
+      User.find({ _id: { $in: groups.map(g => g._id) } }).select('username profilePic')
+    ]);
+    const seenIds = new Set(seen.map(id => id.toString()));
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    const tray = groups
+      .filter(g => usersById.has(g._id.toString()))
+      .map(g => ({
+        user: usersById.get(g._id.toString()),
+        storiesCount: g.storyIds.length,
+        latestAt: g.latestAt,
+        hasUnseen: g.storyIds.some(id => !seenIds.has(id.toString())),
+        isOwn: g._id.equals(viewer._id)
+      }))
+      // Your own stories first, then unseen, then most recent
+      .sort((a, b) =>
+        (b.isOwn - a.isOwn) || (b.hasUnseen - a.hasUnseen) || (b.latestAt - a.latestAt)
+      );
+
+    res.json(tray);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/stories/user/:userId
+// @desc    Active stories of a user, oldest first, with your seen state
+// @access  Private
+router.get('/user/:userId', auth, validate({ params: userParams }), async (req, res, next) => {
+  try {
+    const owner = await User.findById(req.params.userId).select('isPrivate followers blocked');
+    if (!owner || hasBlocked(owner, req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canViewContent(owner, req.userId)) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
+
+    const stories = await Story.find({ user: owner._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username profilePic');
+
+    const seen = await StoryView.find({
+      viewer: req.userId,
+      story: { $in: stories.map(s => s._id) }
+    }).distinct('story');
+    const seenIds = new Set(seen.map(id => id.toString()));
+
+    res.json(stories.map(s => ({ ...s.toObject(), seen: seenIds.has(s._id.toString()) })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/stories/:id/seen
+// @desc    Mark a story as seen by the current user
+// @access  Private
+router.post('/:id/seen', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const story = await findViewableStory(req.params.id, req.userId);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+
+    // Authors don't show up in their own viewer list
+    if (story.user.toString() !== req.userId) {
+      await StoryView.updateOne(
+        { story: story._id, viewer: req.userId },
+        { $setOnInsert: { viewedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/stories/:id/viewers
+// @desc    Who has viewed a story, most recent first (author only)
+// @access  Private
+router.get('/:id/viewers', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+
+    if (story.user.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const views = await StoryView.find({ story: story._id })
+      .sort({ viewedAt: -1 })
+      .populate('viewer', 'username profilePic');
+
+    res.json(views
+      .filter(v => v.viewer)
+      .map(v => ({ user: v.viewer, viewedAt: v.viewedAt })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/stories/:id/reply
+// @desc    Reply to a story with a chat message that references it
+// @access  Private
+router.post('/:id/reply', auth, rateLimit('message'), validate({ params: idParams, body: replyBody }), async (req, res, next) => {
+  try {
+    const { message } = req.body;
+
+    const story = await findViewableStory(req.params.id, req.userId);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+
+    const authorId = story.user.toString();
+    if (authorId === req.userId) {
+      return res.status(400).json({ error: 'You cannot reply to your own story' });
+    }
+    if (await blockedBetween(req.userId, authorId)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    const newMessage = new ChatMessage({
+      sender: req.userId,
+      receiver: authorId,
+      message,
+      story: story._id
+    });
+    await newMessage.save();
+
+    await deliverMessage(req.app.get('socketio'), newMessage, { pushTitle: '💬 Story Reply' });
+
+    res.json(newMessage);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/stories/:id
+// @desc    Delete a story before it expires (only author)
+// @access  Private
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+
+    if (story.user.toString() !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await removeStories([story]);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const Hashtag = require('../models/Hashtag');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { TAG_NAME } = require('../utils/entities');
+const { parseLimit, decodeCursor, findPhotoPage, globalFeedFilter } = require('../utils/feed');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+
+// A tag as typed, with or without its '#'
+const tagName = z.string().transform(tag => tag.replace(/^#/, '').toLowerCase());
+const searchQuery = z.object({ q: tagName.default('') });
+const tagParams = z.object({ tag: tagName.pipe(z.string().regex(TAG_NAME, 'Not a valid hashtag')) });
+const tagQuery = z.object({ cursor: schemas.cursor(decodeCursor), limit: schemas.limit });
+
+// @route   GET /api/tags/search
+// @desc    Autocomplete hashtags by prefix, most used first
+// @access  Public
+router.get('/search', validate({ query: searchQuery }), async (req, res, next) => {
+  try {
+    const { q } = req.query;
+    // Half-typed input that can't be a tag has no matches. Only tag
+    // characters are allowed, so the prefix is safe to use in a regex
+    if (!TAG_NAME.test(q)) return res.json([]);
+
+    const tags = await Hashtag.find({ name: { $regex: `^${q}` }, count: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(10)
+      .select('name count -_id');
+    res.json(tags);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/tags/:tag
+// @desc    Photos whose caption uses a hashtag (cursor paginated, newest first)
+// @access  Public
+router.get('/:tag', optionalAuth, validate({ params: tagParams, query: tagQuery }), async (req, res, next) => {
+  try {
+    const { tag } = req.params;
+    const filter = { ...(await globalFeedFilter(req.userId)), hashtags: tag };
+    const [hashtag, page] = await Promise.all([
+      Hashtag.findOne({ name: tag }).select('count'),
+      findPhotoPage(filter, {
+        after: req.query.cursor,
+        limit: parseLimit(req.query.limit),
+        viewerId: req.userId
+      })
+    ]);
+
+    res.json({ tag, count: hashtag ? Math.max(hashtag.count, 0) : 0, ...page });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,116 +1,322 @@
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Photo = require('../models/Photo');
-const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
-const sendPushNotification = require('../utils/sendPushNotification');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../utils/schemas');
+const { z } = schemas;
+const { validationError } = require('../utils/errors');
+const optionalAuth = require('../middleware/optionalAuth');
+const { canViewContent, hasBlocked, blockedBetween, notHiddenFrom } = require('../utils/privacy');
+const notify = require('../utils/notify');
+const { retractNotification } = require('../utils/notifications');
+const deleteMedia = require('../utils/deleteMedia');
+const { deleteAccount } = require('../utils/accounts');
+const { broadcastPresence, presenceFor } = require('../utils/presence');
+const { normalizeQuery, searchUsers } = require('../utils/search');
+
+// Fields never exposed on another user's profile
+const PRIVATE_FIELDS = [
+  'password', 'sentRequests', 'receivedRequests', 'blocked', 'muted', 'showActivityStatus', 'lastSeenAt',
+  'notificationSettings', 'role', 'suspendedUntil', 'bannedAt', 'suspensionReason'
+];
+
+const MAX_BIO_LENGTH = 300;
+
+const usernameParams = z.object({ username: schemas.usernameParam });
+const userIdParams = z.object({ userId: schemas.objectId });
+// A comma-separated list
+const presenceQuery = z.object({
+  ids: z.string()
+    .transform(ids => [...new Set(ids.split(',').map(id => id.trim()).filter(Boolean))])
+    .pipe(z.array(schemas.objectId).min(1, 'Required').max(100, 'At most 100 ids per request'))
+});
+const searchQuery = z.object({ q: z.string().optional() });
+const profileUpdateBody = z.object({
+  bio: z.string().trim().max(MAX_BIO_LENGTH, `Bio is limited to ${MAX_BIO_LENGTH} characters`).optional(),
+  // A new picture is uploaded with POST /api/users/profile-pic; here it can only be removed
+  profilePic: z.string().nullable().optional(),
+  isPrivate: z.boolean().optional(),
+  showActivityStatus: z.boolean().optional()
+});
+const deleteAccountBody = z.object({ password: z.string().min(1, 'Password is required to delete your account') });
+
+function publicProfile(user) {
+  const profile = user.toObject();
+  PRIVATE_FIELDS.forEach(field => delete profile[field]);
+  return profile;
+}
 
 // @route   GET /api/users/id/:userId
 // @desc    Get user by ID
 // @access  Public
-router.get('/id/:userId', async (req, res) => {
+router.get('/id/:userId', optionalAuth, validate({ params: userIdParams }), async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.userId).select('-password');
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json(user);
-  } catch (err) {
-    console.error(err);
-    if (err.kind === 'ObjectId') {
+    const user = await User.findById(req.params.userId);
+    if (!user || hasBlocked(user, req.userId)) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.status(500).json({ error: 'Server error' });
+    res.json(publicProfile(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/users/presence?ids=<id>,<id>
+// @desc    Online status and last-seen time of up to 100 users (null where hidden from you)
+// @access  Private
+router.get('/presence', auth, validate({ query: presenceQuery }), async (req, res, next) => {
+  try {
+    res.json(await presenceFor(req.userId, req.query.ids));
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   GET /api/users/search
-// @desc    Search users by username (excluding current user)
+// @desc    Search users by username (excluding current and blocked users);
+//          see /api/search for bios, captions and hashtags
+// @access  Private
+router.get('/search', auth, rateLimit('search'), validate({ query: searchQuery }), async (req, res, next) => {
+  try {
+    const query = normalizeQuery(req.query.q);
+    if (!query) return res.json([]);
+    const { results } = await searchUsers(req.userId, query, { limit: 10 });
+    res.json(results.map(({ _id, username, profilePic }) => ({ _id, username, profilePic })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/users/requests/incoming
+// @desc    Get pending follow requests sent to the current user
+// @access  Private
+router.get('/requests/incoming', auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('receivedRequests', 'username profilePic');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user.receivedRequests);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/users/requests/outgoing
+// @desc    Get pending follow requests sent by the current user
+// @access  Private
+router.get('/requests/outgoing', auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('sentRequests', 'username profilePic');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user.sentRequests);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   GET /api/users/blocked
+// @desc    Get users the current user has blocked
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.get('/blocked', auth, async (req, res, next) => {
   try {
-    const { q } = req.query;
-    if (!q || q.length < 2) return res.json([]);
-    const users = await User.find({
-      username: { $regex: q, $options: 'i' },
-      _id: { $ne: req.userId }
-    }).select('username profilePic').limit(10);
-    res.json(users);
+    const user = await User.findById(req.userId).populate('blocked', 'username profilePic');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user.blocked);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   GET /api/users/muted
+// @desc    Get users the current user has muted
+// @access  Private
+router.get('/muted', auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).populate('muted', 'username profilePic');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user.muted);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/users/requests/:username/accept
+// @desc    Accept a pending follow request from :username
+// @access  Private
+router.post('/requests/:username/accept', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const requester = await User.findOne({ username: req.params.username });
+    if (!requester) return res.status(404).json({ error: 'User not found' });
+
+    const currentUser = await User.findById(req.userId);
+    if (!currentUser) return res.status(404).json({ error: 'Current user not found' });
+
+    if (!currentUser.receivedRequests.includes(requester._id)) {
+      return res.status(400).json({ error: 'No pending request from this user' });
+    }
+
+    removeRequest(requester, currentUser);
+    if (!requester.following.includes(currentUser._id)) {
+      requester.following.push(currentUser._id);
+    }
+    if (!currentUser.followers.includes(requester._id)) {
+      currentUser.followers.push(requester._id);
+    }
+
+    await requester.save();
+    await currentUser.save();
+
+    await notify(req.app.get('socketio'), {
+      recipient: requester._id,
+      sender: currentUser._id,
+      type: 'follow_accept',
+    }, {
+      title: '✅ Follow Request Accepted',
+      body: `${currentUser.username} accepted your follow request`,
+      data: { url: `/profile/${currentUser.username}` }
+    });
+
+    res.json({ message: 'Follow request accepted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/users/requests/:username/reject
+// @desc    Reject a pending follow request from :username
+// @access  Private
+router.post('/requests/:username/reject', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const requester = await User.findOne({ username: req.params.username });
+    if (!requester) return res.status(404).json({ error: 'User not found' });
+
+    const currentUser = await User.findById(req.userId);
+    if (!currentUser) return res.status(404).json({ error: 'Current user not found' });
+
+    if (!currentUser.receivedRequests.includes(requester._id)) {
+      return res.status(400).json({ error: 'No pending request from this user' });
+    }
+
+    removeRequest(requester, currentUser);
+    await requester.save();
+    await currentUser.save();
+
+    // Drop the now-stale request notification
+    await retractNotification(req.app.get('socketio'), {
+      recipient: currentUser._id,
+      sender: requester._id,
+      type: 'follow_request'
+    });
+
+    res.json({ message: 'Follow request rejected' });
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   GET /api/users/:username
 // @desc    Get user profile by username
 // @access  Public
-router.get('/:username', async (req, res) => {
+router.get('/:username', optionalAuth, validate({ params: usernameParams }), async (req, res, next) => {
   try {
     const user = await User.findOne({ username: req.params.username })
-      .select('-password')
       .populate('followers', 'username profilePic')
       .populate('following', 'username profilePic');
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json(user);
+    if (!user || hasBlocked(user, req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const profile = publicProfile(user);
+    profile.followersCount = user.followers.length;
+    profile.followingCount = user.following.length;
+
+    // Private account and the viewer is not an accepted follower:
+    // keep the counts, hide the lists.
+    if (!canViewContent(user, req.userId)) {
+      profile.followers = [];
+      profile.following = [];
+      if (req.userId) {
+        const viewer = await User.findById(req.userId).select('sentRequests');
+        profile.followRequested = !!viewer && viewer.sentRequests.includes(user._id);
+      }
+    }
+
+    res.json(profile);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   GET /api/users/:username/photos
 // @desc    Get all photos by a specific user
-// @access  Public
-router.get('/:username/photos', async (req, res) => {
+// @access  Public (followers only for private accounts)
+router.get('/:username/photos', optionalAuth, validate({ params: usernameParams }), async (req, res, next) => {
   try {
     const user = await User.findOne({ username: req.params.username });
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user || hasBlocked(user, req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canViewContent(user, req.userId)) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
 
-    const photos = await Photo.find({ user: user._id })
+    // Photos a moderator hid still show on their author's own profile
+    const photos = await Photo.find({ user: user._id, ...notHiddenFrom(req.userId) })
       .sort({ createdAt: -1 })
-      .populate('user', 'username profilePic')
-      .populate('comments.user', 'username profilePic');
+      .populate('user', 'username profilePic');
     res.json(photos);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   GET /api/users/:username/followers
 // @desc    Get list of followers for a user
-// @access  Public
-router.get('/:username/followers', async (req, res) => {
+// @access  Public (followers only for private accounts)
+router.get('/:username/followers', optionalAuth, validate({ params: usernameParams }), async (req, res, next) => {
   try {
-    const user = await User.findOne({ username: req.params.username })
-      .populate('followers', 'username profilePic');
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findOne({ username: req.params.username });
+    if (!user || hasBlocked(user, req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canViewContent(user, req.userId)) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
+    await user.populate('followers', 'username profilePic');
     res.json(user.followers);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   GET /api/users/:username/following
 // @desc    Get list of following for a user
-// @access  Public
-router.get('/:username/following', async (req, res) => {
+// @access  Public (followers only for private accounts)
+router.get('/:username/following', optionalAuth, validate({ params: usernameParams }), async (req, res, next) => {
   try {
-    const user = await User.findOne({ username: req.params.username })
-      .populate('following', 'username profilePic');
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findOne({ username: req.params.username });
+    if (!user || hasBlocked(user, req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canViewContent(user, req.userId)) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
+    await user.populate('following', 'username profilePic');
     res.json(user.following);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
   }
 });
 
 // @route   POST /api/users/:username/follow
-// @desc    Follow a user
+// @desc    Follow a user (sends a follow request if the account is private)
 // @access  Private
-router.post('/:username/follow', auth, async (req, res) => {
+router.post('/:username/follow', auth, rateLimit('follow'), validate({ params: usernameParams }), async (req, res, next) => {
   try {
     const userToFollow = await User.findOne({ username: req.params.username });
     if (!userToFollow) return res.status(404).json({ error: 'User not found' });
@@ -118,23 +324,55 @@ router.post('/:username/follow', auth, async (req, res) => {
     const currentUser = await User.findById(req.userId);
     if (!currentUser) return res.status(404).json({ error: 'Current user not found' });
 
+    if (currentUser._id.equals(userToFollow._id)) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    if (await blockedBetween(currentUser._id, userToFollow._id)) {
+      return res.status(403).json({ error: 'You cannot follow this user' });
+    }
+
     if (currentUser.following.includes(userToFollow._id)) {
       return res.status(400).json({ error: 'Already following this user' });
     }
 
+    if (userToFollow.isPrivate) {
+      if (currentUser.sentRequests.includes(userToFollow._id)) {
+        return res.status(400).json({ error: 'Follow request already sent' });
+      }
+
+      currentUser.sentRequests.push(userToFollow._id);
+      userToFollow.receivedRequests.push(currentUser._id);
+
+      await currentUser.save();
+      await userToFollow.save();
+
+      await notify(req.app.get('socketio'), {
+        recipient: userToFollow._id,
+        sender: currentUser._id,
+        type: 'follow_request',
+      }, {
+        title: '👤 Follow Request',
+        body: `${currentUser.username} requested to follow you`,
+        data: { url: '/follow-requests' }
+      });
+
+      return res.json({ message: 'Follow request sent', requested: true });
+    }
+
+    // A stale pending request (account went public since) is superseded
+    removeRequest(currentUser, userToFollow);
     currentUser.following.push(userToFollow._id);
     userToFollow.followers.push(currentUser._id);
 
     await currentUser.save();
     await userToFollow.save();
 
-    await Notification.create({
+    await notify(req.app.get('socketio'), {
       recipient: userToFollow._id,
       sender: currentUser._id,
       type: 'follow',
-    });
-
-    await sendPushNotification(userToFollow._id, {
+    }, {
       title: '👤 New Follower',
       body: `${currentUser.username} started following you`,
       data: { url: `/profile/${currentUser.username}` }
@@ -142,15 +380,45 @@ router.post('/:username/follow', auth, async (req, res) => {
 
     res.json({ message: 'Followed successfully' });
   } catch (err) {
-    console.error('Follow error:', err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   POST /api/users/:username/cancel-request
+// @desc    Cancel a pending follow request sent to :username
+// @access  Private
+router.post('/:username/cancel-request', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const target = await User.findOne({ username: req.params.username });
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    const currentUser = await User.findById(req.userId);
+    if (!currentUser) return res.status(404).json({ error: 'Current user not found' });
+
+    if (!currentUser.sentRequests.includes(target._id)) {
+      return res.status(400).json({ error: 'No pending request to this user' });
+    }
+
+    removeRequest(currentUser, target);
+    await currentUser.save();
+    await target.save();
+
+    await retractNotification(req.app.get('socketio'), {
+      recipient: target._id,
+      sender: currentUser._id,
+      type: 'follow_request'
+    });
+
+    res.json({ message: 'Follow request cancelled' });
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   POST /api/users/:username/unfollow
 // @desc    Unfollow a user
 // @access  Private
-router.post('/:username/unfollow', auth, async (req, res) => {
+router.post('/:username/unfollow', auth, validate({ params: usernameParams }), async (req, res, next) => {
   try {
     const userToUnfollow = await User.findOne({ username: req.params.username });
     if (!userToUnfollow) return res.status(404).json({ error: 'User not found' });
@@ -172,38 +440,216 @@ router.post('/:username/unfollow', auth, async (req, res) => {
     await currentUser.save();
     await userToUnfollow.save();
 
+    await retractNotification(req.app.get('socketio'), {
+      recipient: userToUnfollow._id,
+      sender: currentUser._id,
+      type: 'follow'
+    });
+
     res.json({ message: 'Unfollowed successfully' });
   } catch (err) {
-    console.error('Unfollow error:', err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   POST /api/users/:username/block
+// @desc    Block a user (also removes any follow relationship between you)
+// @access  Private
+router.post('/:username/block', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const target = await User.findOne({ username: req.params.username });
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    const currentUser = await User.findById(req.userId);
+    if (!currentUser) return res.status(404).json({ error: 'Current user not found' });
+
+    if (currentUser._id.equals(target._id)) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+    if (currentUser.blocked.includes(target._id)) {
+      return res.status(400).json({ error: 'User already blocked' });
+    }
+
+    currentUser.blocked.push(target._id);
+    severRelationship(currentUser, target);
+
+    await currentUser.save();
+    await target.save();
+
+    res.json({ message: 'User blocked' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/users/:username/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:username/block', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const target = await User.findOne({ username: req.params.username });
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    const result = await User.updateOne(
+      { _id: req.userId, blocked: target._id },
+      { $pull: { blocked: target._id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   POST /api/users/:username/mute
+// @desc    Mute a user: hides their posts and notifications (they are not told)
+// @access  Private
+router.post('/:username/mute', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const target = await User.findOne({ username: req.params.username });
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    if (target._id.toString() === req.userId) {
+      return res.status(400).json({ error: 'You cannot mute yourself' });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.userId, muted: { $ne: target._id } },
+      { $push: { muted: target._id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ error: 'User already muted' });
+    }
+
+    res.json({ message: 'User muted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @route   DELETE /api/users/:username/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete('/:username/mute', auth, validate({ params: usernameParams }), async (req, res, next) => {
+  try {
+    const target = await User.findOne({ username: req.params.username });
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    const result = await User.updateOne(
+      { _id: req.userId, muted: target._id },
+      { $pull: { muted: target._id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ error: 'User is not muted' });
+    }
+
+    res.json({ message: 'User unmuted' });
+  } catch (err) {
+    next(err);
   }
 });
 
 // @route   PUT /api/users/:username
-// @desc    Update user profile (bio, profilePic)
+// @desc    Update user profile (bio, profilePic, isPrivate, showActivityStatus)
 // @access  Private
-router.put('/:username', auth, async (req, res) => {
+router.put('/:username', auth, validate({ params: usernameParams, body: profileUpdateBody }), async (req, res, next) => {
   try {
-    const { bio, profilePic } = req.body;
+    const { bio, profilePic, isPrivate, showActivityStatus } = req.body;
 
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId).select('+profilePicKey');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     if (user.username !== req.params.username) {
       return res.status(403).json({ error: 'You can only update your own profile' });
     }
 
+    if (profilePic && profilePic !== user.profilePic) {
+      return next(validationError({ 'body.profilePic': 'Upload a new picture with POST /api/users/profile-pic' }));
+    }
+
+    // Removing the picture frees the file we stored for it, if any
+    const removingPic = profilePic === null || profilePic === '';
+    const removedKey = removingPic ? user.profilePicKey : null;
     if (bio !== undefined) user.bio = bio;
-    if (profilePic !== undefined) user.profilePic = profilePic;
+    if (removingPic) {
+      user.profilePic = null;
+      user.profilePicKey = null;
+    }
+    const privacyChanged = isPrivate !== undefined && isPrivate !== user.isPrivate;
+    if (privacyChanged) user.isPrivate = isPrivate;
+    const activityStatusChanged = showActivityStatus !== undefined &&
+      showActivityStatus !== user.showActivityStatus;
+    if (activityStatusChanged) user.showActivityStatus = showActivityStatus;
 
     await user.save();
 
-    const updatedUser = await User.findById(user._id).select('-password');
+    // Keep the feed's copy of the setting in step
+    if (privacyChanged) {
+      await Photo.updateMany({ user: user._id }, { $set: { ownerPrivate: user.isPrivate } });
+    }
+
+    // Appear (or stop appearing) online to followers and chat partners right away
+    if (activityStatusChanged) {
+      await broadcastPresence(req.app.get('socketio'), req.userId);
+    }
+
+    if (removedKey) await deleteMedia([removedKey]);
+
+    const updatedUser = await User.findById(user._id).select('-password -sentRequests -receivedRequests -blocked -muted -notificationSettings');
     res.json(updatedUser);
   } catch (err) {
-    console.error('Error updating profile:', err);
-    res.status(500).json({ error: 'Server error' });
+    next(err);
+  }
+});
+
+// @route   DELETE /api/users/:username
+// @desc    Permanently delete your own account and everything it owns
+// @access  Private
+router.delete('/:username', auth, validate({ params: usernameParams, body: deleteAccountBody }), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.username !== req.params.username) {
+      return res.status(403).json({ error: 'You can only delete your own account' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    await deleteAccount(user, req.app.get('socketio'));
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
   }
 });
 
+// Remove a pending follow request from `requester` to `target` (both documents, unsaved)
+function removeRequest(requester, target) {
+  requester.sentRequests = requester.sentRequests.filter(
+    id => id.toString() !== target._id.toString()
+  );
+  target.receivedRequests = target.receivedRequests.filter(
+    id => id.toString() !== requester._id.toString()
+  );
+}
+
+// Drop follows and pending follow requests in both directions (documents, unsaved)
+function severRelationship(a, b) {
+  const notId = (id) => (other) => other.toString() !== id.toString();
+  a.following = a.following.filter(notId(b._id));
+  a.followers = a.followers.filter(notId(b._id));
+  b.following = b.following.filter(notId(a._id));
+  b.followers = b.followers.filter(notId(a._id));
+  removeRequest(a, b);
+  removeRequest(b, a);
+}
+
 module.exports = router;
\ No newline at end of file
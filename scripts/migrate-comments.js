@@ -0,0 +1,60 @@
+// One-off migration: move comments embedded in Photo documents into the
+// Comment collection and fill in Photo.commentsCount.
+// Usage: npm run migrate:comments (or npm run migrate for every migration)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the raw collection: `comments` is no longer part of the Photo schema
+  const cursor = Photo.collection.find({ comments: { $exists: true } });
+  let photos = 0;
+  let comments = 0;
+
+  for await (const photo of cursor) {
+    const docs = (photo.comments || [])
+      .filter(c => c.user && c.text)
+      .map(c => ({
+        _id: c._id || new mongoose.Types.ObjectId(),
+        photo: photo._id,
+        user: c.user,
+        text: c.text,
+        parent: null,
+        repliesCount: 0,
+        likes: [],
+        edited: false,
+        editedAt: null,
+        createdAt: c.createdAt || photo.createdAt,
+        updatedAt: c.createdAt || photo.createdAt
+      }));
+
+    if (docs.length > 0) {
+      await Comment.collection.insertMany(docs, { ordered: false }).catch(err => {
+        // Duplicate keys mean a previous run already copied these
+        if (err.code !== 11000) throw err;
+      });
+    }
+
+    const count = await Comment.countDocuments({ photo: photo._id });
+    await Photo.collection.updateOne(
+      { _id: photo._id },
+      { $set: { commentsCount: count }, $unset: { comments: '' } }
+    );
+
+    photos += 1;
+    comments += docs.length;
+  }
+
+  console.log(`✅ Migrated ${comments} comments from ${photos} photos`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
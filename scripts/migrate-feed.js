@@ -0,0 +1,32 @@
+// One-off migration for the public feed: fill in Photo.ownerPrivate from
+// each author's isPrivate and build its index.
+// Usage: npm run migrate:feed (or npm run migrate for every migration)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const privateIds = await User.find({ isPrivate: true }).distinct('_id');
+  const marked = await Photo.updateMany(
+    { user: { $in: privateIds } },
+    { $set: { ownerPrivate: true } }
+  );
+  const cleared = await Photo.updateMany(
+    { user: { $nin: privateIds }, ownerPrivate: { $ne: false } },
+    { $set: { ownerPrivate: false } }
+  );
+  await Photo.syncIndexes();
+
+  console.log(`✅ Marked ${marked.modifiedCount} private and ${cleared.modifiedCount} public photos`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
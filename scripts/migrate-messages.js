@@ -0,0 +1,56 @@
+// One-off migration for per-conversation retention: replace the fixed 24-hour
+// TTL index on ChatMessage.createdAt with per-message expiresAt deadlines, and
+// file existing direct messages under their conversation.
+// Usage: npm run migrate:messages (or npm run migrate for every migration)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ChatMessage = require('../models/ChatMessage');
+const Conversation = require('../models/Conversation');
+
+const OLD_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Existing messages keep the deadline they were sent with
+  const pending = ChatMessage.collection.find({ expiresAt: { $exists: false } });
+  let expiries = 0;
+  for await (const msg of pending) {
+    const createdAt = msg.createdAt || msg._id.getTimestamp();
+    await ChatMessage.collection.updateOne(
+      { _id: msg._id },
+      { $set: { expiresAt: new Date(createdAt.getTime() + OLD_TTL_MS), deleteAfterRead: false } }
+    );
+    expiries += 1;
+  }
+
+  const indexes = await ChatMessage.collection.indexes();
+  const oldTtl = indexes.find(index => index.key.createdAt === 1 && index.expireAfterSeconds !== undefined);
+  if (oldTtl) await ChatMessage.collection.dropIndex(oldTtl.name);
+  await ChatMessage.syncIndexes();
+
+  const unfiled = ChatMessage.collection.find({ conversation: { $exists: false }, receiver: { $ne: null } });
+  const latest = new Map();
+  let filed = 0;
+  for await (const msg of unfiled) {
+    const conversation = await Conversation.findOrCreateDirect(msg.sender, msg.receiver);
+    await ChatMessage.collection.updateOne({ _id: msg._id }, { $set: { conversation: conversation._id } });
+    const key = conversation._id.toString();
+    if (!latest.has(key) || latest.get(key) < msg.createdAt) latest.set(key, msg.createdAt);
+    filed += 1;
+  }
+  // Conversations created here should sort by their last message, not the migration time
+  for (const [conversationId, lastMessageAt] of latest) {
+    await Conversation.updateOne({ _id: conversationId }, { $set: { lastMessageAt } });
+  }
+
+  console.log(`✅ Set expiry on ${expiries} messages${oldTtl ? ', dropped the old TTL index' : ''}, filed ${filed} under conversations`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// One-off migration for grouped notifications: give existing notifications
+// an actors list and a latestAt sort key, and the newest unread notification
+// of each group its groupKey.
+// Usage: npm run migrate:notifications (or npm run migrate for every migration)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Notification = require('../models/Notification');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await Notification.collection.updateMany(
+    { latestAt: { $exists: false } },
+    [{ $set: { latestAt: '$createdAt', actors: ['$sender'] } }]
+  );
+
+  // Older unread duplicates of a group stay as they are; new events join the newest
+  const groups = await Notification.aggregate([
+    { $match: { read: false, type: { $in: ['like', 'follow'] }, groupKey: { $exists: false } } },
+    { $sort: { latestAt: -1 } },
+    { $group: { _id: { recipient: '$recipient', type: '$type', photo: '$photo' }, newest: { $first: '$_id' } } }
+  ]);
+  for (const { _id: group, newest } of groups) {
+    const groupKey = group.type === 'like' ? `like:${group.photo}` : 'follow';
+    await Notification.collection.updateOne({ _id: newest }, { $set: { groupKey } });
+  }
+  await Notification.syncIndexes();
+
+  console.log(`✅ Migrated ${result.modifiedCount} notifications and keyed ${groups.length} groups`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// One-off migration for search: fill in User.usernameLower and build the
+// text indexes on users and photos.
+// Usage: npm run migrate:search (or npm run migrate for every migration)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const { backfillUsernameLower } = require('../utils/search');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const migrated = await backfillUsernameLower();
+  await User.syncIndexes();
+  await Photo.syncIndexes();
+
+  console.log(`✅ Migrated ${migrated} users`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
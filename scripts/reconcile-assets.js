@@ -0,0 +1,27 @@
+// Report (and optionally delete) stored media files no document references.
+// Usage: node scripts/reconcile-assets.js [--delete] [--prefix=photos]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { getStorage } = require('../storage');
+const { reconcileAssets } = require('../utils/assetReconciler');
+
+async function run() {
+  const remove = process.argv.includes('--delete');
+  const prefixArg = process.argv.find(arg => arg.startsWith('--prefix='));
+  const prefix = prefixArg ? prefixArg.slice('--prefix='.length) : '';
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🗄️  Scanning ${getStorage().name} storage${prefix ? ` under "${prefix}"` : ''}...`);
+
+  const orphans = await reconcileAssets({ prefix, remove });
+  orphans.forEach(asset => console.log(`${remove ? 'deleted' : 'orphan '}  ${asset.key}`));
+  console.log(`✅ ${orphans.length} orphaned asset(s)${remove ? ' deleted' : ' found (run with --delete to remove)'}`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,32 @@
+// Make a user a moderator or admin, or back to a regular user.
+// Usage: node scripts/set-role.js <username> <user|moderator|admin>
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+async function setRole(username, role) {
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-role.js <username> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate({ username }, { $set: { role } }, { returnDocument: 'after' });
+  if (!user) {
+    console.error(`❌ No user named ${username}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ ${user.username} is now ${role}`);
+}
+
+setRole(process.argv[2], process.argv[3])
+  .catch(err => {
+    console.error('❌ Could not set role:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// Start several server instances sharing one database, to try the realtime
+// layer across nodes locally. Point two clients at different ports and chat.
+// MONGODB_URI must be a replica set (the MongoDB adapter uses change streams).
+// Usage: node scripts/start-cluster.js [instances=2] [firstPort=5000]
+const path = require('path');
+const { fork } = require('child_process');
+require('dotenv').config();
+
+const instances = parseInt(process.argv[2]) || 2;
+const firstPort = parseInt(process.argv[3]) || 5000;
+
+const children = [];
+for (let i = 0; i < instances; i++) {
+  const port = firstPort + i;
+  const child = fork(path.join(__dirname, '..', 'server.js'), {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      REALTIME_ADAPTER: 'mongo',
+      PUBLIC_URL: process.env.PUBLIC_URL || `http://localhost:${firstPort}`
+    }
+  });
+  child.on('exit', code => console.log(`Instance on port ${port} exited (${code})`));
+  children.push(child);
+}
+
+// Ctrl+C reaches the children through the process group; wait for them
+process.on('SIGINT', () => {});
+process.on('SIGTERM', () => children.forEach(child => child.kill('SIGTERM')));
@@ -1,12 +1,14 @@
 const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
-const multer = require("multer");
-const cloudinary = require("cloudinary").v2;
-const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const { getStorage } = require("./storage");
+const { getRealtime } = require("./realtime");
 const mongoose = require('mongoose');
 const cors = require('cors');   
 require('dotenv').config();
+const { errorEnvelope, errorHandler } = require('./middleware/errors');
+const { getTransport } = require('./utils/mailer');
+const { backfillUsernameLower } = require('./utils/search');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,10 +22,8 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 5000;
 
-// Track online users
-const onlineUsers = new Set();
-
 // Middleware
+app.use(errorEnvelope);
 const allowedOrigins = [
   'https://heartlock.vercel.app',
   'http://localhost:3000',
@@ -33,51 +33,75 @@ app.use(cors({
   origin: (origin, callback) => {
     if (!origin) return callback(null, true);
     if (allowedOrigins.includes(origin)) return callback(null, true);
-    return callback(new Error('CORS policy: origin not allowed'));
+    const err = new Error('CORS policy: origin not allowed');
+    err.status = 403;
+    return callback(err);
   },
   credentials: true
 }));
 app.use(express.json());
 
+// Behind a proxy (e.g. TRUST_PROXY=1), take the client IP for rate limits from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Connect to MongoDB
 if (!process.env.MONGODB_URI) {
   console.error('❌ MONGO_URI environment variable is not set');
   process.exit(1);
 }
 
+// In production a mail misconfiguration should stop the boot, not the first reset email
+if (process.env.NODE_ENV === 'production') {
+  try {
+    getTransport();
+  } catch (err) {
+    console.error(`❌ Mail is not configured: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(async () => {
+    console.log('✅ Connected to MongoDB');
+    // Accounts from before username search need their lowercase copy
+    const indexed = await backfillUsernameLower();
+    if (indexed > 0) console.log(`🔎 Indexed ${indexed} usernames for search`);
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Multer storage for Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'photos',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
-    public_id: (req, file) => `photo-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
-  },
-});
-
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
-});
+// Media storage: Cloudinary or local disk (see storage/index.js)
+const storage = getStorage();
+storage.mount(app);
+console.log(`🗄️  Media storage: ${storage.name}`);
 
 // Import models and middleware
 const Photo = require('./models/Photo');
+const { MAX_MEDIA_ITEMS } = Photo;
+const Story = require('./models/Story');
 const User = require('./models/User');
 const ChatMessage = require('./models/ChatMessage');
+const Conversation = require('./models/Conversation');
 const auth = require('./middleware/auth');
-const jwt = require('jsonwebtoken');
-const sendPushNotification = require('./utils/sendPushNotification'); // <-- added
+const rateLimit = require('./middleware/rateLimit');
+const { upload, handleUpload, validateUpload, rollbackUploads } = require('./middleware/upload');
+const { deliverMessage } = require('./utils/chat');
+const { resolveMessageTarget } = require('./utils/conversations');
+const { markDelivered } = require('./utils/receipts');
+const { userConnected, userDisconnected } = require('./utils/presence');
+const { startChatAttachmentCleanup } = require('./utils/chatAttachmentCleanup');
+const { extractEntities, updateHashtagCounts, notifyMentions } = require('./utils/entities');
+const deleteMedia = require('./utils/deleteMedia');
+const { startStoryCleanup } = require('./utils/storyCleanup');
+const { startPushWorker } = require('./utils/pushOutbox');
+const { setReaction } = require('./utils/reactions');
+const { verifyAccessToken, accountAccessError } = require('./utils/sessions');
+const { limitSocketEvent } = require('./utils/rateLimits');
+const { errorBody, codeForStatus } = require('./utils/errors');
+const schemas = require('./utils/schemas');
+const { z, parsePayload } = schemas;
 
 // Make io accessible to routes
 app.set('socketio', io);
@@ -88,82 +112,136 @@ io.use((socket, next) => {
   if (!token) {
     return next(new Error('Authentication error: no token'));
   }
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return next(new Error('Invalid token'));
-    socket.userId = decoded.userId;
-    next();
-  });
+  verifyAccessToken(token)
+    .then(async decoded => {
+      // Suspended and banned accounts can't connect; err.data says why
+      const denied = await accountAccessError(decoded.userId);
+      if (denied) {
+        const { status, ...body } = denied;
+        const err = new Error(body.error);
+        err.data = body;
+        return next(err);
+      }
+      socket.userId = decoded.userId;
+      socket.sessionId = decoded.sessionId;
+      next();
+    })
+    .catch(() => next(new Error('Invalid token')));
 });
 
 io.on('connection', (socket) => {
   console.log('🔌 New socket connected:', socket.userId);
 
-  // Add to online users and broadcast
-  onlineUsers.add(socket.userId);
-  io.emit('user-online', socket.userId);
+  // Count the connection; the first one tells followers and chat partners
+  userConnected(io, socket.userId, socket.id)
+    .catch(err => console.error('Presence error:', err));
 
   // Join a room named after the user's own ID
   socket.join(socket.userId);
 
+  // Join a per-session room so revoking the session can disconnect this socket
+  socket.join(`session:${socket.sessionId}`);
+
+  // Anything sent while the user was offline has now reached a device
+  markDelivered(io, socket.userId)
+    .catch(err => console.error('Delivery flush error:', err));
+
   // Join a conversation room (room name = sorted pair of user IDs)
-  socket.on('join-conversation', ({ partnerId }) => {
-    const room = [socket.userId, partnerId].sort().join('-');
+  socket.on('join-conversation', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const payload = parsePayload(schemas.joinConversation, data);
+    if (payload.error) return reply(payload.error);
+    const room = [socket.userId, payload.data.partnerId].sort().join('-');
     socket.join(room);
     console.log(`User ${socket.userId} joined room ${room}`);
   });
 
-  // Handle sending a message
-  socket.on('send-message', async (data) => {
+  // Handle sending a message ({ receiverId } for a direct chat or { conversationId })
+  socket.on('send-message', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
     try {
-      const { receiverId, message, replyTo } = data;
-      const room = [socket.userId, receiverId].sort().join('-');
+      const limited = await limitSocketEvent(socket, 'message');
+      if (limited) return reply(limited);
+
+      const payload = parsePayload(schemas.sendMessage, data);
+      if (payload.error) return reply(payload.error);
+      const { receiverId, conversationId, message, replyTo } = payload.data;
+
+      const target = await resolveMessageTarget(socket.userId, { receiverId, conversationId, replyTo });
+      if (target.error) return reply(errorBody(target.error, codeForStatus(target.status)));
 
       // Save message to database
       const newMessage = new ChatMessage({
         sender: socket.userId,
-        receiver: receiverId,
+        receiver: target.receiverId,
+        conversation: target.conversation ? target.conversation._id : undefined,
         message,
         replyTo: replyTo || null,
         createdAt: new Date()
       });
       await newMessage.save();
 
-      // Populate sender, receiver, and replyTo for the client
-      await newMessage.populate('sender', 'username profilePic');
-      await newMessage.populate('receiver', 'username profilePic');
-      if (newMessage.replyTo) {
-        await newMessage.populate('replyTo', 'message sender');
-      }
-
-      // Emit to the conversation room
-      io.to(room).emit('new-message', newMessage);
-
-      // Send push notification to the receiver
-      try {
-        const sender = await User.findById(socket.userId).select('username');
-        await sendPushNotification(receiverId, {
-          title: '💬 New Message',
-          body: `${sender.username}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`,
-          data: { url: `/chat/${socket.userId}` }
-        });
-      } catch (pushErr) {
-        console.error('Push notification error:', pushErr);
-      }
+      // Emit to the conversation room and push to the receiver
+      await deliverMessage(io, newMessage);
+      reply({ success: true, messageId: newMessage._id });
     } catch (err) {
       console.error('Socket send error:', err);
+      reply(errorBody('Message could not be sent', 'SERVER_ERROR'));
+    }
+  });
+
+  // Handle adding/removing a reaction ({ messageId, emoji }; emoji null removes)
+  socket.on('react-message', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const limited = await limitSocketEvent(socket, 'reaction');
+      if (limited) return reply(limited);
+
+      const payload = parsePayload(schemas.reaction, data);
+      if (payload.error) return reply(payload.error);
+      const { messageId, emoji } = payload.data;
+
+      const result = await setReaction({ io, messageId, userId: socket.userId, emoji: emoji || null });
+      reply(result.error
+        ? errorBody(result.error, codeForStatus(result.status))
+        : { success: true, reactions: result.reactions });
+    } catch (err) {
+      console.error('Socket reaction error:', err);
+      reply(errorBody('Reaction could not be saved', 'SERVER_ERROR'));
     }
   });
 
-  // Handle typing indicator
-  socket.on('typing', ({ partnerId, isTyping }) => {
-    socket.to(partnerId).emit('user-typing', { userId: socket.userId, isTyping });
+  // Handle typing indicator ({ partnerId } for a direct chat or { conversationId })
+  socket.on('typing', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const limited = await limitSocketEvent(socket, 'typing');
+      if (limited) return reply(limited);
+
+      const payload = parsePayload(schemas.typing, data);
+      if (payload.error) return reply(payload.error);
+      const { partnerId, conversationId, isTyping } = payload.data;
+
+      if (!conversationId) {
+        socket.to(partnerId).emit('user-typing', { userId: socket.userId, isTyping });
+        return reply({ success: true });
+      }
+      const conversation = await Conversation.findOne({ _id: conversationId, members: socket.userId }).select('members');
+      if (!conversation) return reply(errorBody('Conversation not found', 'NOT_FOUND'));
+      const others = conversation.members.map(m => m.toString()).filter(id => id !== socket.userId);
+      socket.to(others).emit('user-typing', { userId: socket.userId, conversationId, isTyping });
+      reply({ success: true });
+    } catch (err) {
+      console.error('Socket typing error:', err);
+      reply(errorBody('Typing status could not be sent', 'SERVER_ERROR'));
+    }
   });
 
   socket.on('disconnect', () => {
     console.log('❌ Socket disconnected:', socket.userId);
-    // Remove from online users and broadcast
-    onlineUsers.delete(socket.userId);
-    io.emit('user-offline', socket.userId);
+    // Only the user's last connection closing makes them offline
+    userDisconnected(io, socket.userId, socket.id)
+      .catch(err => console.error('Presence error:', err));
   });
 });
 // =======================================================
@@ -172,8 +250,17 @@ io.on('connection', (socket) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/photos', require('./routes/photos'));
+app.use('/api/feed', require('./routes/feed'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/moderation', require('./routes/moderation'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/stories', require('./routes/stories'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/conversations', require('./routes/conversations'));
 app.use('/api/push', require('./routes/push')); // <-- already present
 
 // Simple test route
@@ -181,21 +268,58 @@ app.get("/", (req, res) => {
   res.send("Server is running!");
 });
 
-// Upload route – protected, creates a photo post
-app.post("/api/upload", auth, upload.single("image"), async (req, res) => {
+// Accepts up to MAX_MEDIA_ITEMS files as "images" (or one legacy "image").
+// If any file fails, multer removes the ones already stored.
+const uploadPostMedia = handleUpload(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_MEDIA_ITEMS }
+]));
+const altText = z.string().trim().max(300, 'Alt text is limited to 300 characters');
+const postBody = z.object({
+  caption: schemas.caption.default(''),
+  // One "alt" field per image, in the same order; a single one arrives as a string
+  alt: z.preprocess(value => (value === undefined ? [] : [].concat(value)), z.array(altText))
+});
+const storyBody = z.object({
+  caption: z.string().max(300, 'Story captions are limited to 300 characters').default('')
+});
+
+// Upload route – protected, creates a photo post with one or more images
+app.post("/api/upload", auth, rateLimit('upload'), uploadPostMedia, validateUpload({ body: postBody }, ['images']), async (req, res) => {
+  const files = [...(req.files.image || []), ...(req.files.images || [])];
+  let saved = false;
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    if (files.length > MAX_MEDIA_ITEMS) {
+      await rollbackUploads(files);
+      return res.status(400).json({ error: `A post can have at most ${MAX_MEDIA_ITEMS} images` });
     }
-    const imageUrl = req.file.path;
-    const { caption } = req.body;
 
+    const { caption, alt } = req.body;
+    const media = files.map((file, i) => ({
+      url: file.path,
+      publicId: file.filename,
+      alt: alt[i] || '',
+      width: file.width || null,
+      height: file.height || null
+    }));
+
+    const { hashtags, mentions } = await extractEntities(caption);
+
+    const owner = await User.findById(req.userId).select('isPrivate');
     const newPhoto = new Photo({
       user: req.userId,
-      imageUrl,
-      caption
+      ownerPrivate: Boolean(owner && owner.isPrivate),
+      imageUrl: media[0].url,
+      media,
+      caption,
+      hashtags,
+      mentions
     });
     await newPhoto.save();
+    saved = true;
+
+    await updateHashtagCounts([], hashtags);
+    await notifyMentions(io, mentions, { sender: req.userId, photo: newPhoto._id, text: caption });
 
     await newPhoto.populate('user', 'username profilePic');
 
@@ -205,25 +329,62 @@ app.post("/api/upload", auth, upload.single("image"), async (req, res) => {
     });
   } catch (error) {
     console.error("Upload error:", error);
+    // The post was never saved: don't leave its files behind
+    if (!saved) {
+      await rollbackUploads(files);
+    }
     res.status(500).json({ error: "Upload failed" });
   }
 });
 
-// Profile picture upload – does NOT create a Photo document
-app.post("/api/users/profile-pic", auth, upload.single("profilePic"), async (req, res) => {
+// Story upload – protected, creates a story that expires after 24 hours
+app.post("/api/stories", auth, rateLimit('upload'), handleUpload(upload.single("image")), validateUpload({ body: storyBody }, ['image']), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    const story = new Story({
+      user: req.userId,
+      media: {
+        url: req.file.path,
+        publicId: req.file.filename,
+        width: req.file.width || null,
+        height: req.file.height || null
+      },
+      caption: req.body.caption
+    });
+    try {
+      await story.save();
+    } catch (saveErr) {
+      await rollbackUploads([req.file]);
+      throw saveErr;
     }
+
+    await story.populate('user', 'username profilePic');
+    res.status(201).json(story);
+  } catch (error) {
+    console.error("Story upload error:", error);
+    res.status(500).json({ error: "Upload failed" });
+  }
+});
+
+// Profile picture upload – does NOT create a Photo document
+app.post("/api/users/profile-pic", auth, rateLimit('upload'), handleUpload(upload.single("profilePic")), validateUpload({}, ['profilePic']), async (req, res) => {
+  try {
     const imageUrl = req.file.path;
 
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId).select('+profilePicKey');
     if (!user) {
+      await rollbackUploads([req.file]);
       return res.status(404).json({ error: "User not found" });
     }
+    const previousKey = user.profilePicKey;
     user.profilePic = imageUrl;
+    user.profilePicKey = req.file.filename;
     await user.save();
 
+    // The replaced upload is no longer referenced anywhere
+    if (previousKey && previousKey !== user.profilePicKey) {
+      await deleteMedia([previousKey]);
+    }
+
     res.json({ profilePicUrl: imageUrl });
   } catch (error) {
     console.error("Profile pic upload error:", error);
@@ -231,26 +392,31 @@ app.post("/api/users/profile-pic", auth, upload.single("profilePic"), async (req
   }
 });
 
-// Get all photos (for feed)
-app.get("/api/photos", async (req, res) => {
-  try {
-    const photos = await Photo.find()
-      .populate('user', 'username profilePic')
-      .sort({ createdAt: -1 });
-    res.json(photos);
-  } catch (error) {
-    console.error("Error fetching photos:", error);
-    res.status(500).json({ error: "Could not fetch photos" });
-  }
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
+// Anything passed to next(err) or thrown in a route, in the error envelope
+app.use(errorHandler);
+
+// Start server once realtime events reach every instance (see realtime/index.js)
+const realtime = getRealtime();
+realtime.attach(io)
+  .then(() => {
+    console.log(`📡 Realtime adapter: ${realtime.name}`);
+    server.listen(PORT, () => {
+      console.log(`🚀 Server is running on http://localhost:${PORT}`);
+      startStoryCleanup();
+      startChatAttachmentCleanup();
+      startPushWorker();
+    });
+  })
+  .catch(err => {
+    console.error('❌ Realtime adapter error:', err);
+    process.exit(1);
+  });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
+// Other instances shouldn't count this one's connections as online
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    realtime.close()
+      .catch(err => console.error('Realtime shutdown error:', err))
+      .finally(() => process.exit(0));
+  });
 });
\ No newline at end of file
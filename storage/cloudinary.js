@@ -0,0 +1,104 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary files audio under its "video" resource type
+const RESOURCE_TYPES = ['image', 'video'];
+
+// Multer storage engine that streams uploads to Cloudinary and keeps the
+// metadata we store per media item (public ID, dimensions, duration, format).
+class CloudinaryEngine {
+  constructor({ folder, allowedFormats, prefix, resourceType }) {
+    this.folder = folder;
+    this.allowedFormats = allowedFormats;
+    this.prefix = prefix || 'file';
+    this.resourceType = resourceType || 'image';
+  }
+
+  _handleFile(req, file, callback) {
+    const options = {
+      folder: this.folder,
+      allowed_formats: this.allowedFormats,
+      resource_type: this.resourceType,
+      public_id: `${this.prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`
+    };
+
+    const stream = cloudinary.uploader.upload_stream(options, (err, resp) => {
+      if (err) return callback(err);
+      callback(null, {
+        path: resp.secure_url,
+        size: resp.bytes,
+        filename: resp.public_id,
+        width: resp.width,
+        height: resp.height,
+        duration: resp.duration,
+        format: resp.format,
+        resourceType: resp.resource_type
+      });
+    });
+    file.stream.pipe(stream);
+  }
+
+  _removeFile(req, file, callback) {
+    cloudinary.uploader.destroy(
+      file.filename,
+      { invalidate: true, resource_type: file.resourceType || 'image' },
+      callback
+    );
+  }
+}
+
+function createCloudinaryDriver() {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  // https://res.cloudinary.com/<cloud>/image/upload/v123/photos/photo-1.jpg -> photos/photo-1
+  const urlPattern = new RegExp(
+    `^https?://res\\.cloudinary\\.com/${process.env.CLOUDINARY_CLOUD_NAME}/\\w+/upload/(?:v\\d+/)?(.+?)(?:\\.\\w+)?$`
+  );
+
+  return {
+    name: 'cloudinary',
+
+    multerEngine: (options) => new CloudinaryEngine(options),
+
+    // Keys don't record the resource type, so try each until one matches
+    async remove(key) {
+      for (const resourceType of RESOURCE_TYPES) {
+        const result = await cloudinary.uploader.destroy(key, { invalidate: true, resource_type: resourceType });
+        if (result.result !== 'not found') return;
+      }
+    },
+
+    keyFromUrl(url) {
+      const match = typeof url === 'string' && url.match(urlPattern);
+      return match ? match[1] : null;
+    },
+
+    // Yields { key, createdAt } for every stored asset under `prefix`
+    async *list(prefix) {
+      for (const resourceType of RESOURCE_TYPES) {
+        let nextCursor;
+        do {
+          const page = await cloudinary.api.resources({
+            type: 'upload',
+            resource_type: resourceType,
+            prefix,
+            max_results: 500,
+            next_cursor: nextCursor
+          });
+          for (const resource of page.resources) {
+            yield { key: resource.public_id, createdAt: new Date(resource.created_at) };
+          }
+          nextCursor = page.next_cursor;
+        } while (nextCursor);
+      }
+    },
+
+    // Cloudinary serves its own files
+    mount() {}
+  };
+}
+
+module.exports = createCloudinaryDriver;
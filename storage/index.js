@@ -0,0 +1,29 @@
+// Media storage backend, chosen with STORAGE_DRIVER=cloudinary|local.
+// Defaults to Cloudinary when its credentials are configured, else local disk.
+//
+// Every driver exposes:
+//   multerEngine({ folder, allowedFormats, prefix, resourceType })  multer storage
+//     engine; uploaded files get path (public URL), filename (storage key),
+//     width, height and duration (null when unknown)
+//   remove(key)        delete a stored asset
+//   keyFromUrl(url)    storage key for one of our URLs, or null for foreign URLs
+//   list(prefix)       async iterable of { key, createdAt }
+//   mount(app)         register any Express routes the driver needs
+const drivers = {
+  cloudinary: () => require('./cloudinary')(),
+  local: () => require('./local')()
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER
+      || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+    if (!drivers[name]) throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    storage = drivers[name]();
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
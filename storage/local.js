@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { imageSize } = require('image-size');
+const { parseFile } = require('music-metadata');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav'
+};
+
+// Multer storage engine that writes uploads under the local storage root
+class LocalEngine {
+  constructor(driver, { folder, allowedFormats, prefix }) {
+    this.driver = driver;
+    this.folder = folder;
+    this.allowedFormats = allowedFormats;
+    this.prefix = prefix || 'file';
+  }
+
+  _handleFile(req, file, callback) {
+    const ext = MIME_EXTENSIONS[file.mimetype];
+    if (!ext || (this.allowedFormats && !this.allowedFormats.includes(ext))) {
+      const err = new Error(`Unsupported file format: ${file.mimetype}`);
+      err.status = 400;
+      return callback(err);
+    }
+
+    const key = `${this.folder}/${this.prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}.${ext}`;
+    const filePath = this.driver.pathFor(key);
+
+    fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) return callback(mkdirErr);
+
+      const out = fs.createWriteStream(filePath);
+      file.stream.pipe(out);
+      out.on('error', callback);
+      out.on('finish', async () => {
+        let dimensions = {};
+        let duration = null;
+        if (file.mimetype.startsWith('image/')) {
+          try {
+            dimensions = imageSize(fs.readFileSync(filePath));
+          } catch (err) {
+            // Not a readable image: keep the file, just without dimensions
+          }
+        } else if (file.mimetype.startsWith('audio/')) {
+          try {
+            // Recorders often leave the length out of the header, so read it from the frames
+            const { format } = await parseFile(filePath, { duration: true, skipCovers: true });
+            duration = Number.isFinite(format.duration) ? format.duration : null;
+          } catch (err) {
+            // Not readable audio: leave the duration unknown
+          }
+        }
+        callback(null, {
+          path: this.driver.urlFor(key),
+          size: out.bytesWritten,
+          filename: key,
+          width: dimensions.width || null,
+          height: dimensions.height || null,
+          duration,
+          format: ext
+        });
+      });
+    });
+  }
+
+  _removeFile(req, file, callback) {
+    this.driver.remove(file.filename).then(() => callback(null), callback);
+  }
+}
+
+function createLocalDriver() {
+  const root = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+  const baseUrl = `${process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`;
+
+  async function* walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(full);
+      } else {
+        const stats = await fs.promises.stat(full);
+        yield { key: path.relative(root, full).split(path.sep).join('/'), createdAt: stats.mtime };
+      }
+    }
+  }
+
+  const driver = {
+    name: 'local',
+
+    multerEngine: (options) => new LocalEngine(driver, options),
+
+    // Absolute path for a key; refuses keys that would escape the storage root
+    pathFor(key) {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    },
+
+    urlFor(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(driver.pathFor(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string') return null;
+      if (url.startsWith(`${baseUrl}/`)) return url.slice(baseUrl.length + 1);
+      if (url.startsWith('/uploads/')) return url.slice('/uploads/'.length);
+      return null;
+    },
+
+    // Yields { key, createdAt } for every stored file under `prefix`
+    list: (prefix) => walk(path.join(root, prefix || '')),
+
+    // Serve stored files at /uploads
+    mount(app) {
+      app.use('/uploads', express.static(root, { index: false, dotfiles: 'deny', maxAge: '7d' }));
+    }
+  };
+  return driver;
+}
+
+module.exports = createLocalDriver;
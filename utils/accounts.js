@@ -0,0 +1,85 @@
+// Permanent account deletion.
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const PushOutbox = require('../models/PushOutbox');
+const PushDelivery = require('../models/PushDelivery');
+const AuthToken = require('../models/AuthToken');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const Report = require('../models/Report');
+const { revokeSessions } = require('./sessions');
+const { removePhoto, removeComment } = require('./photos');
+const { removeStories } = require('./storyCleanup');
+const deleteMedia = require('./deleteMedia');
+const { removeMessages } = require('./chat');
+const { removeMember } = require('./conversations');
+
+// Delete a user and everything they own, including stored files,
+// and remove them from other users' social graph, likes and inboxes.
+async function deleteAccount(user, io) {
+  const userId = user._id;
+
+  // End every session first so the account can't be used mid-deletion
+  await revokeSessions(io, { user: userId });
+
+  for (const photo of await Photo.find({ user: userId })) {
+    await removePhoto(photo);
+  }
+
+  // Top-level comments first: removing them also removes their replies
+  for (const comment of await Comment.find({ user: userId, parent: null })) {
+    await removeComment(comment);
+  }
+  for (const comment of await Comment.find({ user: userId })) {
+    await removeComment(comment);
+  }
+
+  await removeStories(await Story.find({ user: userId }).select('media.publicId'));
+  await StoryView.deleteMany({ viewer: userId });
+
+  await removeMessages({ $or: [{ sender: userId }, { receiver: userId }] });
+  await Conversation.deleteMany({ type: 'direct', members: userId });
+  for (const group of await Conversation.find({ type: 'group', members: userId })) {
+    await removeMember(io, group, userId, userId, { announce: false });
+  }
+  await Notification.deleteMany({ recipient: userId });
+  // Drop the user from grouped notifications but keep the other actors
+  await Notification.updateMany({ actors: userId }, { $pull: { actors: userId } });
+  await Notification.deleteMany({
+    type: { $ne: 'moderation' },
+    $or: [{ actors: { $size: 0 } }, { sender: userId, actors: { $exists: false } }]
+  });
+  await Notification.updateMany(
+    { sender: userId },
+    [{ $set: { sender: { $first: '$actors' } } }],
+    { updatePipeline: true }
+  );
+  await PushSubscription.deleteMany({ user: userId });
+  await PushOutbox.deleteMany({ user: userId });
+  await PushDelivery.deleteMany({ user: userId });
+  await AuthToken.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  // Open cases about the user have nothing left to review; resolved ones
+  // stay with the audit log
+  await Report.deleteMany({ author: userId, status: 'open' });
+
+  await Photo.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await Comment.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  const graphFields = ['followers', 'following', 'sentRequests', 'receivedRequests', 'blocked', 'muted'];
+  await User.updateMany(
+    { $or: graphFields.map(field => ({ [field]: userId })) },
+    { $pull: Object.fromEntries(graphFields.map(field => [field, userId])) }
+  );
+
+  // Only the picture the user uploaded, never whatever URL profilePic holds
+  const stored = await User.findById(userId).select('profilePicKey');
+  await deleteMedia([stored && stored.profilePicKey]);
+  await user.deleteOne();
+}
+
+module.exports = { deleteAccount };
@@ -0,0 +1,60 @@
+// Finds stored files that no document references any more.
+const Photo = require('../models/Photo');
+const Story = require('../models/Story');
+const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { getStorage } = require('../storage');
+
+// Uploads this recent may belong to a request that hasn't saved its document yet
+const DEFAULT_GRACE_MS = 60 * 60 * 1000; // 1 hour
+
+// Every storage key currently referenced by a document
+async function referencedKeys() {
+  const storage = getStorage();
+  const keys = new Set();
+  const add = (key) => { if (key) keys.add(key); };
+
+  for await (const photo of Photo.find().select('imageUrl media').lean().cursor()) {
+    add(storage.keyFromUrl(photo.imageUrl));
+    (photo.media || []).forEach(item => {
+      add(item.publicId);
+      add(storage.keyFromUrl(item.url));
+    });
+  }
+  for await (const story of Story.find().select('media').lean().cursor()) {
+    add(story.media && story.media.publicId);
+    add(story.media && storage.keyFromUrl(story.media.url));
+  }
+  for await (const msg of ChatMessage.find({ 'attachment.key': { $exists: true } }).select('attachment.key').lean().cursor()) {
+    add(msg.attachment.key);
+  }
+  for await (const user of User.find({ profilePic: { $ne: null } }).select('profilePic profilePicKey').lean().cursor()) {
+    add(user.profilePicKey);
+    add(storage.keyFromUrl(user.profilePic));
+  }
+  for await (const group of Conversation.find({ avatar: { $ne: '' } }).select('avatar').lean().cursor()) {
+    add(storage.keyFromUrl(group.avatar));
+  }
+  return keys;
+}
+
+// Resolves to the { key, createdAt } of every unreferenced asset under `prefix`
+// older than `graceMs`. With `remove: true` they are deleted as well.
+async function reconcileAssets({ prefix = '', graceMs = DEFAULT_GRACE_MS, remove = false } = {}) {
+  const storage = getStorage();
+  const referenced = await referencedKeys();
+  const cutoff = new Date(Date.now() - graceMs);
+  const orphans = [];
+
+  for await (const asset of storage.list(prefix)) {
+    if (referenced.has(asset.key) || asset.createdAt > cutoff) continue;
+    orphans.push(asset);
+    if (remove) {
+      await storage.remove(asset.key).catch(err => console.error('Could not delete', asset.key, err));
+    }
+  }
+  return orphans;
+}
+
+module.exports = { reconcileAssets };
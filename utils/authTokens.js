@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000            // 1 hour
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a fresh token of `type` for a user, replacing any earlier one.
+// Returns the raw token to put in the email link.
+async function issueToken(userId, type) {
+  await AuthToken.deleteMany({ user: userId, type });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+  return token;
+}
+
+// Use up a token. Resolves to the owning user's ID, or null if the token
+// is unknown, of another type, expired or already used.
+async function consumeToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await AuthToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+  return record ? record.user : null;
+}
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,113 @@
+// Delivering chat messages, shared by the socket handler and the REST routes.
+const ChatMessage = require('../models/ChatMessage');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const deleteMedia = require('./deleteMedia');
+const notify = require('./notify');
+const { emitWithDeliveryAck } = require('./receipts');
+const { getRealtime } = require('../realtime');
+
+// Room name for a conversation = sorted pair of user IDs
+function conversationRoom(userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join('-');
+}
+
+// Short text for push notifications and conversation lists
+function messagePreview(msg) {
+  if (msg.message) {
+    return `${msg.message.substring(0, 50)}${msg.message.length > 50 ? '...' : ''}`;
+  }
+  if (msg.attachment) {
+    return msg.attachment.kind === 'audio' ? '🎤 Voice message' : '📷 Photo';
+  }
+  return '';
+}
+
+// Populate a freshly saved message and send it to the conversation.
+// Direct messages go to the pair's room and are pushed to the receiver;
+// group messages go to every member's own room and are pushed to members
+// with no open socket. Pushes go through notify(), so mutes and notification
+// settings apply. Push failures are logged, never thrown: the message has
+// been sent either way.
+async function deliverMessage(io, newMessage, { pushTitle } = {}) {
+  await newMessage.populate('sender', 'username profilePic');
+  if (newMessage.receiver) {
+    await newMessage.populate('receiver', 'username profilePic');
+  }
+  if (newMessage.replyTo) {
+    await newMessage.populate({ path: 'replyTo', select: 'message sender attachment', match: ChatMessage.visible() });
+  }
+  if (newMessage.story) {
+    await newMessage.populate('story', 'media caption expiresAt');
+  }
+
+  const conversation = newMessage.conversation
+    ? await Conversation.findByIdAndUpdate(
+      newMessage.conversation,
+      { $set: { lastMessageAt: newMessage.createdAt } },
+      { returnDocument: 'after' }
+    )
+    : null;
+  if (conversation && conversation.type === 'group') {
+    return deliverGroupMessage(io, conversation, newMessage, pushTitle);
+  }
+
+  const senderId = newMessage.sender._id.toString();
+  const receiverId = newMessage.receiver._id.toString();
+  // The receiver gets it on their own room, where their ack marks it delivered
+  io.to(conversationRoom(senderId, receiverId)).except(receiverId).emit('new-message', newMessage);
+  emitWithDeliveryAck(io, receiverId, newMessage);
+
+  // Notices like a retention change are only shown in the conversation
+  if (newMessage.system) return newMessage;
+
+  try {
+    await notify(io, { recipient: receiverId, sender: senderId, type: 'message', conversation }, {
+      title: pushTitle || '💬 New Message',
+      body: `${newMessage.sender.username}: ${messagePreview(newMessage)}`,
+      data: { url: `/chat/${senderId}` }
+    });
+  } catch (pushErr) {
+    console.error('Push notification error:', pushErr);
+  }
+  return newMessage;
+}
+
+async function deliverGroupMessage(io, conversation, newMessage, pushTitle) {
+  const senderId = newMessage.sender._id.toString();
+  const memberIds = conversation.members.map(id => id.toString());
+  io.to(memberIds).emit('new-message', newMessage);
+
+  // Membership notices are only shown in the conversation
+  if (newMessage.system) return newMessage;
+
+  // Members with an open socket already received it live
+  const online = await getRealtime().presence.onlineUserIds(memberIds);
+  await Promise.all(memberIds.filter(id => id !== senderId && !online.has(id)).map(async (memberId) => {
+    try {
+      await notify(io, { recipient: memberId, sender: senderId, type: 'message', conversation }, {
+        title: pushTitle || `💬 ${conversation.name}`,
+        body: `${newMessage.sender.username}: ${messagePreview(newMessage)}`,
+        data: { url: `/chat/group/${conversation._id}` }
+      });
+    } catch (pushErr) {
+      console.error('Push notification error:', pushErr);
+    }
+  }));
+  return newMessage;
+}
+
+// Delete messages matching `filter` together with their attachment files
+async function removeMessages(filter) {
+  const withFiles = await ChatMessage.find({ ...filter, 'attachment.key': { $exists: true } })
+    .select('attachment.key');
+  await ChatMessage.deleteMany(filter);
+  await deleteMedia(withFiles.map(m => m.attachment.key));
+}
+
+module.exports = {
+  conversationRoom,
+  messagePreview,
+  deliverMessage,
+  removeMessages
+};
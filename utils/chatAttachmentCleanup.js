@@ -0,0 +1,52 @@
+// Messages expire through a MongoDB TTL index, which can't delete files.
+// This job removes stored chat attachments whose message no longer exists.
+const ChatMessage = require('../models/ChatMessage');
+const { getStorage } = require('../storage');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// Skip files this recent: their message may not be saved yet
+const GRACE_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+async function removeBatch(storage, batch) {
+  const referenced = await ChatMessage.find({ 'attachment.key': { $in: batch } })
+    .distinct('attachment.key');
+  const orphans = batch.filter(key => !referenced.includes(key));
+  for (const key of orphans) {
+    await storage.remove(key).catch(err => console.error('Attachment delete error for', key, err));
+  }
+  return orphans.length;
+}
+
+// Resolves to the number of files removed
+async function deleteOrphanedAttachments() {
+  const storage = getStorage();
+  const cutoff = new Date(Date.now() - GRACE_MS);
+  let batch = [];
+  let removed = 0;
+
+  for await (const asset of storage.list('chat')) {
+    if (asset.createdAt > cutoff) continue;
+    batch.push(asset.key);
+    if (batch.length === BATCH_SIZE) {
+      removed += await removeBatch(storage, batch);
+      batch = [];
+    }
+  }
+  if (batch.length) removed += await removeBatch(storage, batch);
+  return removed;
+}
+
+function startChatAttachmentCleanup(intervalMs = CLEANUP_INTERVAL_MS) {
+  const run = () => deleteOrphanedAttachments()
+    .then(count => {
+      if (count > 0) console.log(`🧹 Removed ${count} expired chat attachments`);
+    })
+    .catch(err => console.error('Chat attachment cleanup error:', err));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { deleteOrphanedAttachments, startChatAttachmentCleanup };
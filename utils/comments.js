@@ -0,0 +1,52 @@
+// Pagination and serialization for photo comments.
+const Comment = require('../models/Comment');
+const { encodeCursor } = require('./feed');
+const { notHiddenFrom } = require('./privacy');
+
+// Minutes after posting during which the author may edit a comment
+const EDIT_WINDOW_MINUTES = 15;
+
+// Replace the likes array with a count and a likedByMe flag
+function serializeComment(comment, viewerId) {
+  const obj = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+  const likes = obj.likes || [];
+  delete obj.likes;
+  obj.likesCount = likes.length;
+  obj.likedByMe = !!viewerId && likes.some(id => id.toString() === viewerId.toString());
+  return obj;
+}
+
+// One page of comments matching `filter`, oldest first. Comments a moderator
+// hid are left out, except for their author.
+// Resolves to { comments, nextCursor } (nextCursor is null on the last page).
+async function findCommentPage(filter, { after, limit, viewerId }) {
+  const visible = { $and: [filter, notHiddenFrom(viewerId)] };
+  const query = after
+    ? {
+      $and: [visible, {
+        $or: [
+          { createdAt: { $gt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $gt: after.id } }
+        ]
+      }]
+    }
+    : visible;
+
+  const docs = await Comment.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate('user', 'username profilePic');
+
+  const hasMore = docs.length > limit;
+  const comments = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    comments: comments.map(c => serializeComment(c, viewerId)),
+    nextCursor: hasMore ? encodeCursor(comments[comments.length - 1]) : null
+  };
+}
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  serializeComment,
+  findCommentPage
+};
@@ -0,0 +1,234 @@
+// Conversation membership, read state and group notices.
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+const { blockedBetween } = require('./privacy');
+const { deliverMessage, removeMessages } = require('./chat');
+const { deleteMediaByUrl } = require('./deleteMedia');
+
+const sameId = (a, b) => (a._id || a).toString() === b.toString();
+
+// Wording for retention_changed notices
+const RETENTION_DESCRIPTIONS = {
+  forever: 'turned off disappearing messages',
+  '24h': 'set messages to disappear after 24 hours',
+  '1h': 'set messages to disappear after 1 hour',
+  after_read: 'set messages to disappear after they are read'
+};
+
+function isMember(conversation, userId) {
+  return conversation.members.some(m => sameId(m, userId));
+}
+
+function isAdmin(conversation, userId) {
+  return conversation.admins.some(a => sameId(a, userId));
+}
+
+// When the member last read the conversation (their join time if never)
+function lastReadAt(conversation, userId) {
+  const entry = conversation.readState.find(r => sameId(r.user, userId));
+  return entry ? entry.lastReadAt : conversation.createdAt;
+}
+
+// When the member was added to the group, or null if they can see its whole history
+function joinedAt(conversation, userId) {
+  const entry = conversation.readState.find(r => sameId(r.user, userId));
+  return entry ? entry.joinedAt : null;
+}
+
+// Messages from others that arrived after the member last read
+function unreadCount(conversation, userId) {
+  return ChatMessage.countDocuments({
+    conversation: conversation._id,
+    sender: { $ne: userId },
+    system: null,
+    createdAt: { $gt: lastReadAt(conversation, userId) },
+    ...ChatMessage.notExpired()
+  });
+}
+
+// Start the clock on delete-after-read messages everyone they were sent to
+// has now read. Direct chats use the receiver's read flag; groups use the
+// members' read positions (the sender doesn't need to read their own message).
+async function expireReadMessages(conversation) {
+  const now = new Date();
+  if (conversation.type === 'direct') {
+    await ChatMessage.updateMany(
+      { conversation: conversation._id, deleteAfterRead: true, expiresAt: null, read: true },
+      { $set: { expiresAt: now } }
+    );
+    return;
+  }
+
+  const current = await Conversation.findById(conversation._id).select('members readState createdAt');
+  if (!current) return;
+  const readPositions = current.members.map(m => [m.toString(), lastReadAt(current, m)]);
+  const pending = await ChatMessage.find({ conversation: conversation._id, deleteAfterRead: true, expiresAt: null })
+    .select('sender createdAt');
+  const readByAll = pending.filter(msg => readPositions.every(([memberId, readAt]) =>
+    memberId === msg.sender.toString() || readAt >= msg.createdAt
+  ));
+  if (readByAll.length > 0) {
+    await ChatMessage.updateMany({ _id: { $in: readByAll.map(m => m._id) } }, { $set: { expiresAt: now } });
+  }
+}
+
+// Record the member's read position. Direct chats should set the messages'
+// read flags first so delete-after-read messages are picked up.
+async function markConversationRead(conversation, userId, readAt = new Date()) {
+  // Update the entry in place so the member's join time is kept
+  const result = await Conversation.updateOne(
+    { _id: conversation._id, 'readState.user': userId },
+    { $set: { 'readState.$.lastReadAt': readAt } }
+  );
+  if (result.matchedCount === 0) {
+    await Conversation.updateOne({ _id: conversation._id }, { $push: { readState: { user: userId, lastReadAt: readAt } } });
+  }
+  await expireReadMessages(conversation);
+  return readAt;
+}
+
+// Work out where a new message goes: an existing conversation the sender
+// belongs to, or a direct message to `receiverId`. A `replyTo` must be a
+// message of that same conversation the sender can see. Resolves to { conversation, receiverId }
+// (receiverId is null for groups) or { status, error }.
+async function resolveMessageTarget(senderId, { receiverId, conversationId, replyTo }) {
+  let conversation = null;
+  if (conversationId) {
+    conversation = mongoose.isValidObjectId(conversationId)
+      ? await Conversation.findOne({ _id: conversationId, members: senderId })
+      : null;
+    if (!conversation) return { status: 404, error: 'Conversation not found' };
+    if (conversation.type === 'group') {
+      return checkReplyTo({ conversation, receiverId: null }, conversation._id, replyTo, joinedAt(conversation, senderId));
+    }
+    receiverId = conversation.members.find(m => !sameId(m, senderId));
+  }
+
+  if (!receiverId) return { status: 400, error: 'Receiver is required' };
+  const receiver = mongoose.isValidObjectId(receiverId) ? await User.exists({ _id: receiverId }) : null;
+  if (!receiver) return { status: 404, error: 'Receiver not found' };
+  if (await blockedBetween(senderId, receiverId)) {
+    return { status: 403, error: 'You cannot message this user' };
+  }
+
+  // A direct chat's conversation may not exist yet, and then has nothing to reply to
+  const direct = conversation
+    || await Conversation.exists({ directKey: Conversation.directKey(senderId, receiverId) });
+  return checkReplyTo({ conversation, receiverId: receiverId.toString() }, direct && direct._id, replyTo);
+}
+
+// `target`, unless `replyTo` is not a message of the conversation `conversationId`
+// sent since `since` (when set)
+async function checkReplyTo(target, conversationId, replyTo, since = null) {
+  if (!replyTo) return target;
+  const filter = { _id: replyTo, conversation: conversationId };
+  if (since) filter.createdAt = { $gte: since };
+  const quoted = conversationId && await ChatMessage.exists(filter);
+  return quoted ? target : { status: 404, error: 'The message you replied to was not found' };
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Text shown for a conversation notice
+function describeSystemAction(action, actorName, targetNames, conversation) {
+  const targets = joinNames(targetNames);
+  switch (action) {
+    case 'created': return `${actorName} created the group "${conversation.name}"`;
+    case 'renamed': return `${actorName} renamed the group to "${conversation.name}"`;
+    case 'avatar_changed': return `${actorName} changed the group photo`;
+    case 'retention_changed': return `${actorName} ${RETENTION_DESCRIPTIONS[conversation.retention]}`;
+    case 'member_added': return `${actorName} added ${targets}`;
+    case 'member_removed': return `${actorName} removed ${targets}`;
+    case 'member_left': return `${actorName} left the group`;
+    case 'admin_added': return `${targets} ${targetNames.length > 1 ? 'are' : 'is'} now ${targetNames.length > 1 ? 'admins' : 'an admin'}`;
+    case 'admin_removed': return `${targets} ${targetNames.length > 1 ? 'are' : 'is'} no longer ${targetNames.length > 1 ? 'admins' : 'an admin'}`;
+    default: return '';
+  }
+}
+
+// Post a notice like "alice added bob" to a conversation and send it to the members
+async function postSystemMessage(io, conversation, actorId, action, targetIds = []) {
+  const users = await User.find({ _id: { $in: [actorId, ...targetIds] } }).select('username');
+  const nameOf = (id) => {
+    const user = users.find(u => sameId(u, id));
+    return user ? user.username : 'Someone';
+  };
+
+  const msg = new ChatMessage({
+    conversation: conversation._id,
+    sender: actorId,
+    // Direct chats are delivered to the other person
+    receiver: conversation.type === 'direct'
+      ? conversation.members.find(m => !sameId(m, actorId))
+      : null,
+    message: describeSystemAction(action, nameOf(actorId), targetIds.map(nameOf), conversation),
+    system: {
+      action,
+      targets: targetIds,
+      retention: action === 'retention_changed' ? conversation.retention : undefined
+    }
+  });
+  await msg.save();
+  return deliverMessage(io, msg);
+}
+
+// Tell current members the group's details changed
+async function emitConversationUpdate(io, conversation) {
+  await conversation.populate('members', 'username profilePic');
+  io.to(conversation.members.map(m => m._id.toString())).emit('conversation-updated', conversation);
+}
+
+// Take a member out of a group. The longest-standing member is promoted if
+// the last admin goes, and a group left with no members is deleted.
+// `actorId` is the admin removing them, or the member themselves when leaving.
+// With `announce: false` no notice is posted (used when an account is deleted).
+async function removeMember(io, conversation, userId, actorId, { announce = true } = {}) {
+  const leaving = sameId(actorId, userId);
+  conversation.members = conversation.members.filter(m => !sameId(m, userId));
+  conversation.admins = conversation.admins.filter(a => !sameId(a, userId));
+  conversation.readState = conversation.readState.filter(r => !sameId(r.user, userId));
+  conversation.mutes = conversation.mutes.filter(m => !sameId(m.user, userId));
+
+  io.to(userId.toString()).emit('conversation-removed', { conversationId: conversation._id });
+
+  if (conversation.members.length === 0) {
+    await removeMessages({ conversation: conversation._id });
+    await deleteMediaByUrl(conversation.avatar);
+    await conversation.deleteOne();
+    return null;
+  }
+
+  let promoted = null;
+  if (conversation.admins.length === 0) {
+    promoted = conversation.members[0];
+    conversation.admins = [promoted];
+  }
+  await conversation.save();
+
+  if (announce) {
+    await postSystemMessage(io, conversation, actorId, leaving ? 'member_left' : 'member_removed', leaving ? [] : [userId]);
+  }
+  if (promoted) {
+    await postSystemMessage(io, conversation, promoted, 'admin_added', [promoted]);
+  }
+  await emitConversationUpdate(io, conversation);
+  return conversation;
+}
+
+module.exports = {
+  isMember,
+  isAdmin,
+  lastReadAt,
+  joinedAt,
+  unreadCount,
+  markConversationRead,
+  resolveMessageTarget,
+  postSystemMessage,
+  emitConversationUpdate,
+  removeMember
+};
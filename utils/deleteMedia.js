@@ -0,0 +1,19 @@
+const { getStorage } = require('../storage');
+
+// Delete stored assets by storage key. Failures are logged, not thrown,
+// so cleanup never breaks the request that triggered it.
+async function deleteMedia(keys) {
+  const storage = getStorage();
+  await Promise.all(keys.filter(Boolean).map(key =>
+    storage.remove(key)
+      .catch(err => console.error('Media delete error for', key, err))
+  ));
+}
+
+// Delete an asset given its public URL; URLs we don't host are ignored
+async function deleteMediaByUrl(url) {
+  await deleteMedia([getStorage().keyFromUrl(url)]);
+}
+
+module.exports = deleteMedia;
+module.exports.deleteMediaByUrl = deleteMediaByUrl;
@@ -0,0 +1,85 @@
+// Parsing and indexing of #hashtags and @mentions in captions and comments.
+const Hashtag = require('../models/Hashtag');
+const User = require('../models/User');
+const notify = require('./notify');
+const { blockedBetween } = require('./privacy');
+
+// Only match at a word boundary, so "a#b" and "me@example.com" are ignored
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_])#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION_PATTERN = /(?<![A-Za-z0-9_.@])@([A-Za-z0-9_.]{3,30})/g;
+
+// A tag as typed in a URL or search box, without the leading '#'
+const TAG_NAME = /^[\p{L}\p{N}_]{1,50}$/u;
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function parseHashtags(text) {
+  if (!text) return [];
+  return unique([...text.matchAll(HASHTAG_PATTERN)].map(m => m[1].toLowerCase()));
+}
+
+function parseMentions(text) {
+  if (!text) return [];
+  // A trailing '.' is sentence punctuation, not part of the username
+  return unique([...text.matchAll(MENTION_PATTERN)].map(m => m[1].replace(/\.+$/, '')));
+}
+
+// Hashtags and mentioned user IDs for a piece of text.
+// Mentions of usernames that don't exist are ignored.
+async function extractEntities(text) {
+  const usernames = parseMentions(text);
+  const users = usernames.length
+    ? await User.find({ username: { $in: usernames } }).select('_id')
+    : [];
+  return {
+    hashtags: parseHashtags(text),
+    mentions: users.map(u => u._id)
+  };
+}
+
+// Keep Hashtag.count in step when a text's tags change from `before` to `after`
+async function updateHashtagCounts(before = [], after = []) {
+  const removed = before.filter(t => !after.includes(t));
+  const added = after.filter(t => !before.includes(t));
+
+  if (removed.length) {
+    await Hashtag.updateMany({ name: { $in: removed } }, { $inc: { count: -1 } });
+  }
+  await Promise.all(added.map(name => Hashtag.updateOne(
+    { name },
+    { $inc: { count: 1 }, $set: { lastUsedAt: new Date() } },
+    { upsert: true }
+  )));
+}
+
+// Send a `mention` notification to every user in `mentionIds`
+// except ones listed in `alreadyNotified` (e.g. on edit) and blocked pairs.
+async function notifyMentions(io, mentionIds, { sender, photo, comment, text, alreadyNotified = [] }) {
+  const previous = alreadyNotified.map(id => id.toString());
+  const recipients = mentionIds.filter(id => !previous.includes(id.toString()));
+  if (recipients.length === 0) return;
+
+  const senderUser = await User.findById(sender).select('username');
+  if (!senderUser) return;
+  const preview = `${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`;
+
+  for (const recipient of recipients) {
+    if (await blockedBetween(recipient, sender)) continue;
+    await notify(io, { recipient, sender, type: 'mention', photo, comment }, {
+      title: '📣 New Mention',
+      body: `${senderUser.username} mentioned you: "${preview}"`,
+      data: { url: `/photo/${photo}` }
+    });
+  }
+}
+
+module.exports = {
+  TAG_NAME,
+  parseHashtags,
+  parseMentions,
+  extractEntities,
+  updateHashtagCounts,
+  notifyMentions
+};
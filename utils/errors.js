@@ -0,0 +1,94 @@
+// The one error format every failed request gets:
+//   { error: 'Human readable message', code: 'MACHINE_READABLE', fields?: { path: message } }
+// `fields` is only there for validation errors, keyed by the offending input
+// (e.g. "body.email", "params.userId").
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { ZodError } = require('zod');
+
+// Code used when a response only sets a status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'SERVER_ERROR'
+};
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'SERVER_ERROR' : 'BAD_REQUEST');
+}
+
+// Throw (or pass to next) from a route to answer with this error
+class ApiError extends Error {
+  constructor(status, message, code = codeForStatus(status), fields = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+function errorBody(message, code, fields) {
+  return fields ? { error: message, code, fields } : { error: message, code };
+}
+
+// { path: message } for a Zod error; `prefix` names where the input came
+// from (body, params, query)
+function zodFields(err, prefix) {
+  const fields = {};
+  err.issues.forEach(issue => {
+    const path = [prefix, ...issue.path].filter(part => part !== undefined && part !== '').join('.');
+    if (!fields[path]) fields[path] = issue.message;
+  });
+  return fields;
+}
+
+function validationError(fields) {
+  return new ApiError(400, 'Some fields are invalid', 'VALIDATION_FAILED', fields);
+}
+
+// Map anything thrown in a route to an ApiError. Errors we don't recognise
+// become a 500 with no details, so internals never reach the client.
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof ZodError) return validationError(zodFields(err));
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, `Invalid ${err.path}`, 'INVALID_ID', { [err.path]: `Not a valid ${err.kind}` });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = Object.fromEntries(Object.entries(err.errors).map(([path, e]) => [path, e.message]));
+    return validationError(fields);
+  }
+  if (err && err.code === 11000) {
+    const fields = Object.fromEntries(Object.keys(err.keyPattern || {}).map(path => [path, 'Already taken']));
+    return new ApiError(409, 'Already exists', 'DUPLICATE', fields);
+  }
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return new ApiError(status, `Upload rejected: ${err.message}`, 'UPLOAD_REJECTED');
+  }
+  // express.json() body errors
+  if (err && err.type === 'entity.parse.failed') return new ApiError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+  if (err && err.type === 'entity.too.large') return new ApiError(413, 'Request body is too large');
+  if (err && (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError')) {
+    return new ApiError(401, 'Token is not valid');
+  }
+  if (err && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, err.message);
+  }
+  return new ApiError(500, 'Server error');
+}
+
+module.exports = {
+  ApiError,
+  codeForStatus,
+  errorBody,
+  zodFields,
+  validationError,
+  toApiError
+};
@@ -0,0 +1,125 @@
+// Cursor pagination and lightweight serialization for photo feeds.
+const mongoose = require('mongoose');
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+const { hiddenUserIds } = require('./privacy');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort key
+function encodeCursor(doc, field = 'createdAt') {
+  return Buffer.from(JSON.stringify({ t: doc[field], id: doc._id })).toString('base64url');
+}
+
+// Returns { createdAt, id }, or null if the cursor is missing or malformed
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const createdAt = new Date(t);
+    if (isNaN(createdAt) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// $project stage for photos as listed in feeds: likes are reduced to a
+// count plus a likedByMe flag instead of being sent in full
+function photoCardProjection(viewerId) {
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  return {
+    user: 1,
+    imageUrl: 1,
+    // Same fallback as the Photo toJSON transform, for pre-carousel posts
+    media: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$media', []] } }, 0] },
+        '$media',
+        [{ url: '$imageUrl', publicId: null, alt: '', width: null, height: null }]
+      ]
+    },
+    caption: 1,
+    createdAt: 1,
+    updatedAt: 1,
+    likesCount: { $size: { $ifNull: ['$likes', []] } },
+    commentsCount: { $ifNull: ['$commentsCount', 0] },
+    likedByMe: viewer ? { $in: [viewer, { $ifNull: ['$likes', []] }] } : { $literal: false }
+  };
+}
+
+// One page of photos matching `filter`, newest first, leaving out photos a
+// moderator hid.
+// Resolves to { photos, nextCursor } (nextCursor is null on the last page).
+async function findPhotoPage(filter, { after, limit, viewerId }) {
+  const visible = { $and: [filter, { hiddenAt: null }] };
+  const match = after
+    ? {
+      $and: [visible, {
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after.id } }
+        ]
+      }]
+    }
+    : visible;
+
+  const docs = await Photo.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: photoCardProjection(viewerId) }
+  ]);
+
+  const hasMore = docs.length > limit;
+  const photos = hasMore ? docs.slice(0, limit) : docs;
+  await Photo.populate(photos, { path: 'user', select: 'username profilePic' });
+
+  return {
+    photos,
+    nextCursor: hasMore ? encodeCursor(photos[photos.length - 1]) : null
+  };
+}
+
+// Filter for the public feed: no private accounts the viewer doesn't follow,
+// and nobody the viewer blocked, muted or was blocked by. Private posts are
+// recognised by Photo.ownerPrivate, so the filter only grows with the
+// viewer's own follow and block lists. Photos from before the flag have
+// no ownerPrivate until `npm run migrate:feed` runs; they count as public.
+async function globalFeedFilter(viewerId) {
+  const hidden = await hiddenUserIds(viewerId, { includeMuted: true });
+  const viewer = viewerId ? await User.findById(viewerId).select('following') : null;
+  const visiblePrivate = viewer ? [viewer._id, ...viewer.following] : [];
+  return {
+    user: { $nin: hidden },
+    $or: [{ ownerPrivate: { $ne: true } }, { user: { $in: visiblePrivate } }]
+  };
+}
+
+// Filter for the home feed: the viewer's own posts plus everyone they follow
+async function homeFeedFilter(viewerId) {
+  const [viewer, hidden] = await Promise.all([
+    User.findById(viewerId).select('following'),
+    hiddenUserIds(viewerId, { includeMuted: true })
+  ]);
+  if (!viewer) return null;
+  return { user: { $in: [viewer._id, ...viewer.following], $nin: hidden } };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parseLimit,
+  decodeCursor,
+  encodeCursor,
+  photoCardProjection,
+  findPhotoPage,
+  globalFeedFilter,
+  homeFeedFilter
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports. Each one exposes send({ to, subject, text, html }).
+// Pick one with MAIL_TRANSPORT=smtp|file|console (default: smtp in
+// production, console elsewhere). Emails carry live reset and verification
+// links, so production never falls back to printing them.
+
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+// Writes each email as a JSON file, for local development and tests
+function fileTransport() {
+  const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+// Replace the active transport (e.g. with a stub in tests)
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'Hert <no-reply@hert.app>';
+  return getTransport().send({ from, to, subject, text, html });
+}
+
+module.exports = { getTransport, sendMail, setTransport };
@@ -0,0 +1,244 @@
+// Reports and the moderation queue: filing a report against a photo, comment,
+// message or account, and a moderator resolving it. Every resolution is
+// written to the audit log and, unless dismissed, the author is told.
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
+const ChatMessage = require('../models/ChatMessage');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const notify = require('./notify');
+const { moderationSummary } = require('./notifications');
+const { photoAccessError } = require('./privacy');
+const { revokeSessions } = require('./sessions');
+
+// Models of the content that can be hidden
+const CONTENT_MODELS = { photo: Photo, comment: Comment, message: ChatMessage };
+
+const RESOLUTIONS = {
+  dismiss: { status: 'dismissed', audit: 'report.dismiss' },
+  hide: { status: 'hidden', audit: 'content.hide' },
+  warn: { status: 'warned', audit: 'user.warn' },
+  suspend: { status: 'suspended', audit: 'user.suspend' }
+};
+const MODERATION_ACTIONS = Object.keys(RESOLUTIONS);
+
+const DEFAULT_SUSPENSION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NOT_FOUND = {
+  photo: 'Photo not found',
+  comment: 'Comment not found',
+  message: 'Message not found',
+  user: 'User not found'
+};
+
+// Can `userId` read `msg`? Direct messages only their receiver, group
+// messages any member. Senders don't report their own.
+async function canReportMessage(msg, userId) {
+  if (msg.system || msg.hiddenAt || msg.isExpired()) return false;
+  if (msg.receiver) return msg.receiver.toString() === userId.toString();
+  return !!(await Conversation.exists({ _id: msg.conversation, members: userId }));
+}
+
+// Resolves to { author } (the user the report is about) if `reporterId` may
+// report the target, otherwise to the { status, error } the route should
+// respond with. Only content the reporter can see may be reported.
+async function reportTarget(targetType, targetId, reporterId) {
+  const notFound = { status: 404, error: NOT_FOUND[targetType] };
+  let author;
+
+  if (targetType === 'user') {
+    const user = await User.findById(targetId).select('_id');
+    if (!user) return notFound;
+    author = user._id;
+  } else if (targetType === 'message') {
+    const msg = await ChatMessage.findById(targetId);
+    if (!msg || !msg.sender || !(await canReportMessage(msg, reporterId))) return notFound;
+    author = msg.sender;
+  } else {
+    const content = await CONTENT_MODELS[targetType].findById(targetId).select('user photo hiddenAt');
+    if (!content || content.hiddenAt) return notFound;
+    const photo = targetType === 'photo' ? content : await Photo.findById(content.photo).select('user hiddenAt');
+    if (!photo) return notFound;
+    const denied = await photoAccessError(photo, reporterId);
+    if (denied) return targetType === 'photo' ? denied : notFound;
+    author = content.user;
+  }
+
+  if (author.toString() === reporterId.toString()) {
+    return { status: 400, error: 'You cannot report yourself' };
+  }
+  return { author };
+}
+
+// Add `reporterId`'s report to the open case for the target, opening one if
+// there is none. Resolves to { report, duplicate }; a second report by the
+// same user changes nothing and comes back with duplicate: true.
+async function fileReport(reporterId, { targetType, target, author, reason, details = '' }) {
+  const entry = { reporter: reporterId, reason, details, createdAt: new Date() };
+  const addReport = () => Report.findOneAndUpdate(
+    { targetType, target, status: 'open', 'reports.reporter': { $ne: reporterId } },
+    {
+      $push: { reports: entry },
+      $inc: { count: 1 },
+      $set: { lastReportedAt: entry.createdAt },
+      $setOnInsert: { author }
+    },
+    { upsert: true, returnDocument: 'after', runValidators: true }
+  );
+
+  try {
+    return { report: await addReport(), duplicate: false };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  // The upsert collided with the open case: either it already has this
+  // user's report, or someone else opened it at the same moment
+  const existing = await Report.findOne({ targetType, target, status: 'open', 'reports.reporter': reporterId });
+  if (existing) return { report: existing, duplicate: true };
+  return { report: await addReport(), duplicate: false };
+}
+
+// Set hiddenAt on the reported content; messages also vanish from open chats.
+// Resolves to false if the content is gone.
+async function hideContent(io, targetType, targetId) {
+  const content = await CONTENT_MODELS[targetType].findOneAndUpdate(
+    { _id: targetId },
+    { $set: { hiddenAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!content) return false;
+
+  if (targetType === 'message') {
+    const conversation = await Conversation.findById(content.conversation).select('members');
+    const participants = conversation
+      ? conversation.members.map(m => m.toString())
+      : [content.sender, content.receiver].filter(Boolean).map(id => id.toString());
+    io.to(participants).emit('message-hidden', { messageId: content._id, conversationId: content.conversation });
+  }
+  return true;
+}
+
+// What moderators see of each report's target, as report.content (null if
+// it has been deleted). Hidden content is included: reviewing it is the point.
+const TARGET_FIELDS = {
+  photo: 'imageUrl caption user hiddenAt createdAt',
+  comment: 'text photo user hiddenAt createdAt',
+  message: 'message attachment sender conversation hiddenAt createdAt',
+  user: 'username profilePic bio suspendedUntil createdAt'
+};
+const TARGET_MODELS = { ...CONTENT_MODELS, user: User };
+
+async function withTargetContent(reports) {
+  const byType = new Map();
+  await Promise.all(Object.keys(TARGET_MODELS).map(async (type) => {
+    const ids = reports.filter(r => r.targetType === type).map(r => r.target);
+    if (ids.length === 0) return;
+    const docs = await TARGET_MODELS[type].find({ _id: { $in: ids } }).select(TARGET_FIELDS[type]);
+    docs.forEach(doc => byType.set(`${type}:${doc._id}`, doc));
+  }));
+  return reports.map(report => ({
+    ...(typeof report.toObject === 'function' ? report.toObject() : report),
+    content: byType.get(`${report.targetType}:${report.target}`) || null
+  }));
+}
+
+const NOTICE_TITLES = {
+  hidden: '🚫 Content removed',
+  warned: '⚠️ Warning',
+  suspended: '⛔ Account suspended',
+  banned: '⛔ Account banned'
+};
+
+// Tell `recipient` what a moderator or admin did ({ action, targetType, reason })
+async function sendModerationNotice(io, recipient, moderation, { photo, comment } = {}) {
+  await notify(io, { recipient, sender: null, type: 'moderation', photo, comment, moderation }, {
+    title: NOTICE_TITLES[moderation.action],
+    body: moderationSummary(moderation),
+    data: { url: '/notifications' }
+  });
+}
+
+// When a suspension starting now for `durationDays` ends
+function suspensionEnd(durationDays = DEFAULT_SUSPENSION_DAYS) {
+  return new Date(Date.now() + durationDays * DAY_MS);
+}
+
+// Lock `userId` out until `until`, or for good if `until` is null (a ban),
+// and end their sessions so open tabs and sockets are signed out at once
+async function suspendUser(io, userId, { until, reason }) {
+  const set = until
+    ? { suspendedUntil: until, bannedAt: null, suspensionReason: reason }
+    : { bannedAt: new Date(), suspensionReason: reason };
+  await User.updateOne({ _id: userId }, { $set: set });
+  await revokeSessions(io, { user: userId });
+}
+
+// End a suspension or ban early
+async function liftSuspension(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { suspendedUntil: null, bannedAt: null, suspensionReason: null } }
+  );
+}
+
+// Close an open `report` with one of MODERATION_ACTIONS:
+//   dismiss  nothing was wrong
+//   hide     hide the content from everyone but its author
+//   warn     warn the author (`hide: true` also hides the content)
+//   suspend  lock the author out for `durationDays` and end their sessions
+//            (`hide: true` also hides the content)
+// Resolves to the updated report, or null if someone else resolved it first.
+async function resolveReport(io, report, moderatorId, { action, note, hide = false, durationDays }) {
+  const { status, audit } = RESOLUTIONS[action];
+  const resolved = await Report.findOneAndUpdate(
+    { _id: report._id, status: 'open' },
+    { $set: { status: 'resolved', resolution: { action: status, moderator: moderatorId, note, resolvedAt: new Date() } } },
+    { returnDocument: 'after' }
+  );
+  if (!resolved) return null;
+
+  const reason = resolved.topReason();
+  const details = {};
+  const hides = action === 'hide' || (hide && action !== 'dismiss');
+  if (hides && CONTENT_MODELS[resolved.targetType]) {
+    details.hidden = await hideContent(io, resolved.targetType, resolved.target);
+  }
+  if (action === 'suspend') {
+    details.suspendedUntil = suspensionEnd(durationDays);
+    await suspendUser(io, resolved.author, { until: details.suspendedUntil, reason });
+  }
+
+  await AuditLog.create({
+    actor: moderatorId,
+    action: audit,
+    targetType: resolved.targetType,
+    target: resolved.target,
+    subject: resolved.author,
+    report: resolved._id,
+    note,
+    details: Object.keys(details).length > 0 ? details : undefined
+  });
+
+  if (action !== 'dismiss') {
+    await sendModerationNotice(io, resolved.author, { action: status, targetType: resolved.targetType, reason }, {
+      photo: resolved.targetType === 'photo' ? resolved.target : undefined,
+      comment: resolved.targetType === 'comment' ? resolved.target : undefined
+    });
+  }
+  return resolved;
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  suspensionEnd,
+  reportTarget,
+  fileReport,
+  resolveReport,
+  withTargetContent,
+  sendModerationNotice,
+  suspendUser,
+  liftSuspension
+};
@@ -0,0 +1,109 @@
+// Per-user notification preferences: which types reach which channel, and
+// quiet hours during which pushes are held or dropped.
+
+// Every notification type, and the channels it uses. Chat types have no
+// in-app row (the conversation itself is the in-app surface). A type added
+// here becomes configurable, enabled by default, except for `locked` channels.
+const NOTIFICATION_TYPES = {
+  like: { inApp: true, push: true },
+  comment: { inApp: true, push: true },
+  reply: { inApp: true, push: true },
+  mention: { inApp: true, push: true },
+  follow: { inApp: true, push: true },
+  follow_request: { inApp: true, push: true },
+  follow_accept: { inApp: true, push: true },
+  message: { inApp: false, push: true },
+  reaction: { inApp: false, push: true },
+  // Moderators' decisions about your content or account always show in-app
+  moderation: { inApp: true, push: true, locked: ['inApp'] }
+};
+
+const CHANNELS = ['inApp', 'push'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Does `type` use `channel`, and has the user left it on?
+function channelEnabled(user, type, channel) {
+  const defaults = NOTIFICATION_TYPES[type];
+  if (!defaults || !defaults[channel]) return false;
+  if (defaults.locked && defaults.locked.includes(channel)) return true;
+  const types = user && user.notificationSettings && user.notificationSettings.types;
+  const pref = types && types.get(type);
+  return !pref || pref[channel] !== false;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Minutes since midnight at `date` in `timeZone`
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// If `date` falls in the user's quiet hours, returns when they end;
+// otherwise null. Ranges may cross midnight (e.g. 22:00-07:00).
+function quietHoursEnd(quietHours, date = new Date()) {
+  if (!quietHours || !quietHours.enabled) return null;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const now = localMinutes(date, quietHours.timezone || 'UTC');
+  const inside = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const endsAt = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+}
+
+// Settings as returned by the API, with defaults filled in for every type
+function serializePreferences(user) {
+  const settings = user.notificationSettings || {};
+  const types = {};
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, supported]) => {
+    types[type] = {};
+    CHANNELS.filter(channel => supported[channel]).forEach(channel => {
+      types[type][channel] = channelEnabled(user, type, channel);
+    });
+  });
+  const quietHours = settings.quietHours || {};
+  return {
+    types,
+    quietHours: {
+      enabled: Boolean(quietHours.enabled),
+      start: quietHours.start || '22:00',
+      end: quietHours.end || '07:00',
+      timezone: quietHours.timezone || 'UTC',
+      action: quietHours.action || 'hold'
+    }
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  TIME_OF_DAY,
+  channelEnabled,
+  isValidTimeZone,
+  quietHoursEnd,
+  serializePreferences
+};
@@ -0,0 +1,193 @@
+// Storing, grouping and live delivery of in-app notifications.
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Types that collapse into one row while it is unread ("alice and 12 others
+// liked your photo"), and the fields that must match for two to be grouped
+const GROUPED_TYPES = {
+  like: ['photo'],
+  follow: []
+};
+
+// Actors shown by name in a grouped notification
+const SHOWN_ACTORS = 3;
+
+const ACTIONS = {
+  like: 'liked your photo',
+  comment: 'commented on your photo',
+  reply: 'replied to your comment',
+  mention: 'mentioned you',
+  follow: 'started following you',
+  follow_request: 'requested to follow you',
+  follow_accept: 'accepted your follow request'
+};
+
+const TARGET_NAMES = { photo: 'photo', comment: 'comment', message: 'message' };
+
+// "Your photo was hidden for breaking the community guidelines (spam)"
+function moderationSummary({ action, targetType, reason }) {
+  const why = reason ? ` (${reason.replace(/_/g, ' ')})` : '';
+  if (action === 'hidden') {
+    return `Your ${TARGET_NAMES[targetType] || 'post'} was hidden for breaking the community guidelines${why}`;
+  }
+  if (action === 'suspended' || action === 'banned') {
+    return `Your account was ${action} for breaking the community guidelines${why}`;
+  }
+  return `You received a warning for breaking the community guidelines${why}`;
+}
+
+// "alice", "alice and bob", "alice and 12 others"
+function actorsText(names, count) {
+  if (count <= 1) return names[0] || 'Someone';
+  if (count === 2 && names.length === 2) return `${names[0]} and ${names[1]}`;
+  const others = count - 1;
+  return `${names[0]} and ${others} ${others === 1 ? 'other' : 'others'}`;
+}
+
+// Notifications as sent to clients: the first few actors populated, the
+// total count and a ready-made summary line. Expects photo/comment populated
+// (or not) by the caller.
+async function serializeNotifications(notifications) {
+  const actorIds = notifications.flatMap(n => actorsOf(n).slice(0, SHOWN_ACTORS));
+  const users = await User.find({ _id: { $in: actorIds } }).select('username profilePic');
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  return notifications.map(n => {
+    const ids = actorsOf(n);
+    const actors = ids.slice(0, SHOWN_ACTORS)
+      .map(id => usersById.get(id.toString()))
+      .filter(Boolean);
+    const sender = n.sender ? usersById.get((n.sender._id || n.sender).toString()) || null : null;
+    return {
+      _id: n._id,
+      type: n.type,
+      sender,
+      actors,
+      actorsCount: ids.length,
+      summary: n.type === 'moderation'
+        ? moderationSummary(n.moderation)
+        : `${actorsText(actors.map(a => a.username), ids.length)} ${ACTIONS[n.type]}`,
+      photo: n.photo,
+      comment: n.comment,
+      read: n.read,
+      createdAt: n.createdAt,
+      latestAt: n.latestAt || n.createdAt
+    };
+  });
+}
+
+// Rows created before grouping have no actors list; moderation notices have neither
+function actorsOf(notification) {
+  if (notification.actors && notification.actors.length > 0) return notification.actors;
+  return notification.sender ? [notification.sender._id || notification.sender] : [];
+}
+
+// Unread notifications, leaving out senders the user has since muted (as the list does)
+async function unreadNotificationCount(userId) {
+  const user = await User.findById(userId).select('muted');
+  return Notification.countDocuments({
+    recipient: userId,
+    read: false,
+    sender: { $nin: user ? user.muted : [] }
+  });
+}
+
+async function emitUnreadCount(io, userId) {
+  io.to(userId.toString()).emit('notifications-unread', { count: await unreadNotificationCount(userId) });
+}
+
+async function emitNotification(io, notification) {
+  await notification.populate('photo', 'imageUrl');
+  const [serialized] = await serializeNotifications([notification]);
+  const recipientId = notification.recipient.toString();
+  io.to(recipientId).emit('notification', serialized);
+  await emitUnreadCount(io, recipientId);
+}
+
+// Key of the unread group a `type` event belongs to, e.g. "like:<photoId>"
+function groupKeyFor(type, values) {
+  return [type, ...GROUPED_TYPES[type].map(field => String(values[field]))].join(':');
+}
+
+// Add `sender` to the recipient's unread group for this event, or start a
+// new notification. Resolves to the stored notification.
+async function recordNotification({ recipient, sender, type, photo, comment, moderation }) {
+  const now = new Date();
+  const groupFields = GROUPED_TYPES[type];
+  if (groupFields) {
+    // One upsert moves the sender to the front of the group (or starts it);
+    // the unique index on { recipient, groupKey } turns a race between two
+    // first events into a duplicate key error, and the retry joins the winner
+    const actor = new mongoose.Types.ObjectId(String(sender));
+    const values = { photo, comment };
+    const fields = { type, sender: actor, latestAt: now, createdAt: { $ifNull: ['$createdAt', now] } };
+    groupFields.forEach(field => { fields[field] = new mongoose.Types.ObjectId(String(values[field])); });
+    const upsertGroup = () => Notification.findOneAndUpdate(
+      { recipient, groupKey: groupKeyFor(type, values), read: false },
+      [{
+        $set: {
+          ...fields,
+          actors: {
+            $concatArrays: [
+              [actor],
+              { $filter: { input: { $ifNull: ['$actors', []] }, cond: { $ne: ['$$this', actor] } } }
+            ]
+          }
+        }
+      }],
+      { upsert: true, returnDocument: 'after', updatePipeline: true }
+    );
+    try {
+      return await upsertGroup();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return upsertGroup();
+    }
+  }
+  return Notification.create({
+    recipient,
+    sender,
+    actors: sender ? [sender] : [],
+    type,
+    photo,
+    comment,
+    moderation,
+    latestAt: now
+  });
+}
+
+// Undo a notification when its action is undone (unlike, unfollow, cancelled
+// request): the sender leaves the group, and an emptied group is deleted.
+async function retractNotification(io, { recipient, sender, type, photo }) {
+  const filter = { recipient, type, $or: [{ actors: sender }, { sender }] };
+  if (photo) filter.photo = photo;
+  const notifications = await Notification.find(filter);
+  if (notifications.length === 0) return;
+
+  for (const notification of notifications) {
+    const remaining = actorsOf(notification).filter(id => id.toString() !== sender.toString());
+    if (remaining.length === 0) {
+      await notification.deleteOne();
+      io.to(recipient.toString()).emit('notification-removed', { notificationId: notification._id });
+      continue;
+    }
+    notification.actors = remaining;
+    notification.sender = remaining[0];
+    await notification.save();
+    await notification.populate('photo', 'imageUrl');
+    const [serialized] = await serializeNotifications([notification]);
+    io.to(recipient.toString()).emit('notification', serialized);
+  }
+  await emitUnreadCount(io, recipient);
+}
+
+module.exports = {
+  moderationSummary,
+  serializeNotifications,
+  unreadNotificationCount,
+  emitUnreadCount,
+  emitNotification,
+  recordNotification,
+  retractNotification
+};
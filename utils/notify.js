@@ -0,0 +1,72 @@
+// The one dispatch path for notifications: every in-app notification and web
+// push goes through notify(), which applies the recipient's settings.
+// Pushes are queued in the outbox (utils/pushOutbox.js), not sent inline.
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { recordNotification, emitNotification } = require('./notifications');
+const { channelEnabled, quietHoursEnd } = require('./notificationPrefs');
+const { enqueuePush } = require('./pushOutbox');
+
+const HOUR = 60 * 60;
+
+// Push delivery hints per type: how long the push service keeps trying
+// (TTL, seconds) and how urgently the device is woken up
+const PUSH_OPTIONS = {
+  message: { TTL: 24 * HOUR, urgency: 'high' },
+  reaction: { TTL: HOUR, urgency: 'low' },
+  like: { TTL: 24 * HOUR, urgency: 'low' },
+  follow: { TTL: 24 * HOUR, urgency: 'low' }
+};
+const DEFAULT_PUSH_OPTIONS = { TTL: 3 * 24 * HOUR, urgency: 'normal' };
+
+// Messages in one chat, and likes on one photo, share a topic, so an
+// undelivered push is replaced by the newer one rather than both showing up
+function pushTopic({ type, photo, conversation }) {
+  if (type === 'message' && conversation) return `chat-${conversation._id || conversation}`;
+  if (type === 'like' && photo) return `like-${photo._id || photo}`;
+  return undefined;
+}
+
+// Notify `recipient` of a `type` event by `sender`: store and deliver the
+// in-app notification (for types that have one) and send `push` (a web push
+// payload; `pushOptions` override the type's TTL, urgency and topic).
+// A null `sender` is a notice from the platform itself (moderation).
+// Nothing is sent to yourself, when the recipient has muted the sender, or
+// for chat events in a `conversation` they muted. Each channel can be turned
+// off per type, and pushes during quiet hours are held until they end or
+// dropped. Resolves to the stored notification, or null if there is none.
+async function notify(io, { recipient, sender, type, photo, comment, conversation, moderation }, push, pushOptions = {}) {
+  if (sender && recipient.toString() === sender.toString()) return null;
+
+  const user = await User.findById(recipient).select('muted notificationSettings');
+  if (!user) return null;
+  if (sender && user.muted.some(id => id.toString() === sender.toString())) return null;
+  if (conversation) {
+    const muting = conversation.mutes ? conversation : await Conversation.findById(conversation).select('mutes');
+    if (muting && muting.isMutedBy(recipient)) return null;
+  }
+
+  let notification = null;
+  if (channelEnabled(user, type, 'inApp')) {
+    notification = await recordNotification({ recipient, sender, type, photo, comment, moderation });
+    await emitNotification(io, notification);
+  }
+
+  if (push && channelEnabled(user, type, 'push')) {
+    const quietHours = user.notificationSettings && user.notificationSettings.quietHours;
+    const quietUntil = quietHoursEnd(quietHours);
+    const options = {
+      ...(PUSH_OPTIONS[type] || DEFAULT_PUSH_OPTIONS),
+      topic: pushTopic({ type, photo, conversation }),
+      ...pushOptions
+    };
+    if (!quietUntil) {
+      await enqueuePush(recipient, push, options);
+    } else if (quietHours.action === 'hold') {
+      await enqueuePush(recipient, push, options, { sendAfter: quietUntil });
+    }
+  }
+  return notification;
+}
+
+module.exports = notify;
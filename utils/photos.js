@@ -0,0 +1,53 @@
+// Deleting photos and comments together with everything that hangs off them.
+const Photo = require('../models/Photo');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { getStorage } = require('../storage');
+const deleteMedia = require('./deleteMedia');
+const { updateHashtagCounts } = require('./entities');
+
+// Storage keys of a photo's files; pre-carousel posts only have imageUrl
+function photoAssetKeys(photo) {
+  const keys = (photo.media || []).map(item => item.publicId || getStorage().keyFromUrl(item.url));
+  if (keys.length === 0) keys.push(getStorage().keyFromUrl(photo.imageUrl));
+  return keys.filter(Boolean);
+}
+
+// Delete a comment (and its replies, if top-level), keeping counters,
+// hashtags and notifications in step. Resolves to the number of comments removed.
+async function removeComment(comment) {
+  const replies = comment.parent
+    ? []
+    : await Comment.find({ parent: comment._id }).select('_id hashtags');
+  const ids = [comment._id, ...replies.map(r => r._id)];
+
+  for (const removed of [comment, ...replies]) {
+    await updateHashtagCounts(removed.hashtags, []);
+  }
+
+  await Comment.deleteMany({ _id: { $in: ids } });
+  await Notification.deleteMany({ comment: { $in: ids } });
+
+  await Photo.updateOne({ _id: comment.photo }, { $inc: { commentsCount: -ids.length } });
+  if (comment.parent) {
+    await Comment.updateOne({ _id: comment.parent }, { $inc: { repliesCount: -1 } });
+  }
+  return ids.length;
+}
+
+// Delete a photo with its comments, notifications, hashtag counts and stored files
+async function removePhoto(photo) {
+  // Release the hashtags used by the caption and every comment
+  const comments = await Comment.find({ photo: photo._id }).select('hashtags');
+  await updateHashtagCounts(photo.hashtags, []);
+  for (const comment of comments) {
+    await updateHashtagCounts(comment.hashtags, []);
+  }
+
+  await Comment.deleteMany({ photo: photo._id });
+  await Notification.deleteMany({ photo: photo._id });
+  await photo.deleteOne();
+  await deleteMedia(photoAssetKeys(photo));
+}
+
+module.exports = { photoAssetKeys, removeComment, removePhoto };
@@ -0,0 +1,95 @@
+// Online status and last-seen times. Connections are counted per user (across
+// all server instances, see realtime/), so someone with several tabs or
+// devices stays online until the last one closes.
+// Presence is only shared with followers and people the user chats with,
+// and not at all if they turned off showActivityStatus.
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { getRealtime } = require('../realtime');
+const { hasBlocked } = require('./privacy');
+
+async function isOnline(userId) {
+  const online = await getRealtime().presence.onlineUserIds([userId]);
+  return online.has(userId.toString());
+}
+
+// IDs of users who may see `user`'s presence: followers and conversation
+// partners, minus anyone blocked either way
+async function presenceAudience(user) {
+  const ids = new Set(user.followers.map(id => id.toString()));
+  const conversations = await Conversation.find({ members: user._id }).select('members');
+  conversations.forEach(c => c.members.forEach(id => ids.add(id.toString())));
+  ids.delete(user._id.toString());
+
+  const blockers = await User.find({ _id: { $in: [...ids] }, blocked: user._id }).select('_id');
+  [...user.blocked, ...blockers.map(u => u._id)].forEach(id => ids.delete(id.toString()));
+  return [...ids];
+}
+
+// Send the user's current status to their audience. Users who hide their
+// status always appear offline with no last-seen time.
+async function broadcastPresence(io, userId) {
+  const user = await User.findById(userId).select('followers blocked showActivityStatus lastSeenAt');
+  if (!user) return;
+  const audience = await presenceAudience(user);
+  if (audience.length === 0) return;
+
+  if (user.showActivityStatus && (await isOnline(userId))) {
+    io.to(audience).emit('user-online', userId.toString());
+  } else {
+    io.to(audience).emit('user-offline', userId.toString(), user.showActivityStatus ? user.lastSeenAt : null);
+  }
+}
+
+// Call for every socket that connects / disconnects
+async function userConnected(io, userId, socketId) {
+  const count = await getRealtime().presence.add(userId, socketId);
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt: new Date() } });
+  if (count === 1) await broadcastPresence(io, userId);
+}
+
+async function userDisconnected(io, userId, socketId) {
+  const count = await getRealtime().presence.remove(userId, socketId);
+  if (count > 0) return;
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt: new Date() } });
+  await broadcastPresence(io, userId);
+}
+
+// { [userId]: { online, lastSeenAt } } for the users `viewerId` may see;
+// the rest map to null: yourself, or users who show their status, follow you
+// or chat with you, with no block either way. Loads the users, the viewer's
+// conversations and the viewer's blocks once for the whole list.
+async function presenceFor(viewerId, userIds) {
+  const viewer = viewerId.toString();
+  const [users, conversations, viewerDoc] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('followers blocked showActivityStatus lastSeenAt'),
+    Conversation.find({ members: viewerId }).select('members'),
+    User.findById(viewerId).select('blocked')
+  ]);
+  const contacts = new Set();
+  conversations.forEach(c => c.members.forEach(id => contacts.add(id.toString())));
+  const blockedByViewer = new Set((viewerDoc ? viewerDoc.blocked : []).map(id => id.toString()));
+
+  const result = Object.fromEntries(userIds.map(id => [id, null]));
+  const onlineIds = await getRealtime().presence.onlineUserIds(users.map(u => u._id));
+
+  for (const user of users) {
+    const id = user._id.toString();
+    if (id !== viewer) {
+      if (!user.showActivityStatus || hasBlocked(user, viewerId) || blockedByViewer.has(id)) continue;
+      const isFollower = user.followers.some(f => f.toString() === viewer);
+      if (!isFollower && !contacts.has(id)) continue;
+    }
+    const online = onlineIds.has(id);
+    result[id] = { online, lastSeenAt: online ? null : user.lastSeenAt };
+  }
+  return result;
+}
+
+module.exports = {
+  isOnline,
+  broadcastPresence,
+  userConnected,
+  userDisconnected,
+  presenceFor
+};
@@ -0,0 +1,85 @@
+// Helpers for deciding what a viewer may see of another user's account.
+const User = require('../models/User');
+
+// Can `viewerId` see the photos / followers / following of `owner`?
+// Public accounts are visible to everyone; private accounts only to
+// the owner and their accepted followers.
+function canViewContent(owner, viewerId) {
+  if (!owner.isPrivate) return true;
+  if (!viewerId) return false;
+  if (owner._id.toString() === viewerId.toString()) return true;
+  // followers may be populated documents or bare ObjectIds
+  return owner.followers.some(f => (f._id || f).toString() === viewerId.toString());
+}
+
+// Has `owner` (a loaded user document) blocked `viewerId`?
+function hasBlocked(owner, viewerId) {
+  if (!viewerId || !owner.blocked) return false;
+  return owner.blocked.some(id => id.toString() === viewerId.toString());
+}
+
+// Has either user blocked the other?
+async function blockedBetween(userIdA, userIdB) {
+  const found = await User.exists({
+    $or: [
+      { _id: userIdA, blocked: userIdB },
+      { _id: userIdB, blocked: userIdA }
+    ]
+  });
+  return !!found;
+}
+
+// Has `recipientId` muted `senderId`?
+async function hasMuted(recipientId, senderId) {
+  const found = await User.exists({ _id: recipientId, muted: senderId });
+  return !!found;
+}
+
+// IDs of users whose content `viewerId` should not see:
+// everyone they blocked, everyone who blocked them, and (optionally) everyone they muted.
+async function hiddenUserIds(viewerId, { includeMuted = false } = {}) {
+  if (!viewerId) return [];
+  const [viewer, blockers] = await Promise.all([
+    User.findById(viewerId).select('blocked muted'),
+    User.find({ blocked: viewerId }).select('_id')
+  ]);
+  const ids = blockers.map(u => u._id);
+  if (viewer) {
+    ids.push(...viewer.blocked);
+    if (includeMuted) ids.push(...viewer.muted);
+  }
+  return ids;
+}
+
+// Filter for photos or comments hidden by a moderator: only their author
+// still sees them
+function notHiddenFrom(viewerId) {
+  return viewerId ? { $or: [{ hiddenAt: null }, { user: viewerId }] } : { hiddenAt: null };
+}
+
+// Resolves to null if `viewerId` may see `photo`, otherwise to the
+// { status, error } the route should respond with. `photo` needs user and hiddenAt.
+async function photoAccessError(photo, viewerId) {
+  const ownerId = (photo.user._id || photo.user).toString();
+  if (photo.hiddenAt && ownerId !== String(viewerId)) {
+    return { status: 404, error: 'Photo not found' };
+  }
+  const owner = await User.findById(photo.user._id || photo.user).select('isPrivate followers blocked');
+  if (!owner || hasBlocked(owner, viewerId)) {
+    return { status: 404, error: 'Photo not found' };
+  }
+  if (!canViewContent(owner, viewerId)) {
+    return { status: 403, error: 'This account is private' };
+  }
+  return null;
+}
+
+module.exports = {
+  canViewContent,
+  notHiddenFrom,
+  photoAccessError,
+  hasBlocked,
+  blockedBetween,
+  hasMuted,
+  hiddenUserIds
+};
@@ -0,0 +1,211 @@
+// Durable web push delivery. enqueuePush() stores one outbox job per
+// subscription and returns straight away; the worker sends them, retrying
+// transient failures with exponential backoff, and logs every attempt to
+// PushDelivery. Jobs are claimed atomically, so several server instances
+// can run the worker at once.
+const PushOutbox = require('../models/PushOutbox');
+const PushDelivery = require('../models/PushDelivery');
+const PushSubscription = require('../models/PushSubscription');
+const webpush = require('./webPush');
+
+const WORKER_INTERVAL_MS = 15 * 1000;
+// How long a claimed job stays claimed if its worker dies mid-send
+const LOCK_MS = 60 * 1000;
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_TTL = 24 * 60 * 60; // seconds
+// More held pushes than this for one device are sent as a single summary
+const SUMMARY_THRESHOLD = 3;
+
+// Push services accept topics of up to 32 URL-safe base64 characters
+function normalizeTopic(topic) {
+  if (!topic) return undefined;
+  return String(topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32) || undefined;
+}
+
+function newJob(userId, subscriptionId, payload, options, sendAfter) {
+  const sendableAt = sendAfter || new Date();
+  const TTL = options.TTL !== undefined ? options.TTL : DEFAULT_TTL;
+  return {
+    user: userId,
+    subscription: subscriptionId,
+    payload,
+    options: { TTL, urgency: options.urgency || 'normal', topic: normalizeTopic(options.topic) },
+    held: Boolean(sendAfter),
+    nextAttemptAt: sendableAt,
+    expiresAt: new Date(sendableAt.getTime() + TTL * 1000)
+  };
+}
+
+// Queue `payload` for every device the user subscribed. `options` are
+// { TTL (seconds), urgency, topic }; `sendAfter` holds it back until then
+// (quiet hours). Resolves to the jobs created.
+async function enqueuePush(userId, payload, options = {}, { sendAfter } = {}) {
+  const subscriptions = await PushSubscription.find({ user: userId }).select('_id');
+  if (subscriptions.length === 0) return [];
+  const jobs = await PushOutbox.insertMany(
+    subscriptions.map(sub => newJob(userId, sub._id, payload, options, sendAfter))
+  );
+  if (!sendAfter) kickWorker();
+  return jobs;
+}
+
+function isRetryable(statusCode) {
+  // No status code means the request never got a response
+  return !statusCode || statusCode === 429 || statusCode >= 500;
+}
+
+// Exponential backoff with some jitter, unless the push service said when to retry
+function retryDelay(attempts, err) {
+  const retryAfter = err.headers && err.headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (ms > 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(backoff * (0.8 + Math.random() * 0.4));
+}
+
+function describeError(err) {
+  return String(err.body || err.message || err).slice(0, 500);
+}
+
+function serviceOf(endpoint) {
+  try {
+    return new URL(endpoint).host;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Claim the next due job: unclaimed, or claimed by a worker that never finished
+function claimJob() {
+  const now = new Date();
+  return PushOutbox.findOneAndUpdate(
+    {
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+async function sendJob(job) {
+  const subscription = await PushSubscription.findById(job.subscription);
+  // Unsubscribed since it was queued
+  if (!subscription) return job.deleteOne();
+
+  const entry = {
+    job: job._id,
+    user: job.user,
+    subscription: subscription._id,
+    service: serviceOf(subscription.endpoint),
+    attempt: job.attempts,
+    title: job.payload && job.payload.title,
+    topic: job.options.topic
+  };
+  const finish = async (status, fields = {}) => {
+    await PushDelivery.create({ ...entry, status, ...fields });
+    await job.deleteOne();
+  };
+
+  const secondsLeft = Math.floor((job.expiresAt - Date.now()) / 1000);
+  if (secondsLeft <= 0) return finish('expired');
+
+  try {
+    const result = await webpush.sendNotification(subscription, JSON.stringify(job.payload), {
+      TTL: secondsLeft,
+      urgency: job.options.urgency,
+      topic: job.options.topic
+    });
+    return finish('sent', { statusCode: result.statusCode });
+  } catch (err) {
+    const { statusCode } = err;
+    const error = describeError(err);
+
+    // The subscription is gone for good
+    if (statusCode === 404 || statusCode === 410) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return finish('pruned', { statusCode });
+    }
+    if (!isRetryable(statusCode) || job.attempts >= MAX_ATTEMPTS) {
+      return finish('failed', { statusCode, error });
+    }
+    const nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts, err));
+    if (nextAttemptAt >= job.expiresAt) return finish('expired', { statusCode, error });
+
+    await PushDelivery.create({ ...entry, status: 'retry', statusCode, error });
+    await PushOutbox.updateOne(
+      { _id: job._id },
+      { $set: { nextAttemptAt, lockedUntil: null, lastError: error } }
+    );
+  }
+}
+
+// Devices with a pile of pushes held during quiet hours get one summary
+// instead. Resolves to the number of held pushes folded into summaries.
+async function summarizeHeldPushes() {
+  const now = new Date();
+  const piles = await PushOutbox.aggregate([
+    { $match: { held: true, nextAttemptAt: { $lte: now }, lockedUntil: null } },
+    { $group: { _id: '$subscription', user: { $first: '$user' }, ids: { $push: '$_id' } } },
+    { $match: { [`ids.${SUMMARY_THRESHOLD}`]: { $exists: true } } }
+  ]);
+
+  let folded = 0;
+  for (const pile of piles) {
+    const { deletedCount } = await PushOutbox.deleteMany({ _id: { $in: pile.ids }, lockedUntil: null });
+    if (deletedCount === 0) continue;
+    folded += deletedCount;
+    await PushOutbox.create(newJob(pile.user, pile._id, {
+      title: '🔔 While you were away',
+      body: `You have ${deletedCount} new notifications`,
+      data: { url: '/notifications' }
+    }, { urgency: 'low' }));
+  }
+  return folded;
+}
+
+// Send every job that is due. Resolves to the number of jobs attempted.
+async function processOutbox() {
+  await summarizeHeldPushes();
+  let attempted = 0;
+  let job;
+  while ((job = await claimJob())) {
+    await sendJob(job);
+    attempted++;
+  }
+  return attempted;
+}
+
+// Run the worker now in this process, or once more after the current run
+let running = false;
+let runAgain = false;
+function kickWorker() {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+  processOutbox()
+    .catch(err => console.error('Push outbox error:', err))
+    .finally(() => {
+      running = false;
+      if (runAgain) {
+        runAgain = false;
+        kickWorker();
+      }
+    });
+}
+
+function startPushWorker(intervalMs = WORKER_INTERVAL_MS) {
+  const timer = setInterval(kickWorker, intervalMs);
+  timer.unref();
+  kickWorker();
+  return timer;
+}
+
+module.exports = { enqueuePush, processOutbox, startPushWorker };
@@ -0,0 +1,126 @@
+// Rate limits for HTTP routes and Socket.IO events, and lockout after
+// repeated failed logins. A limit has a bucket per client IP, per signed-in
+// user, or both; a request has to fit in every one of them. Counters live in
+// the store from rateLimit/.
+const { getRateLimitStore } = require('../rateLimit');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const LIMITS = {
+  login: { ip: { max: 20, windowMs: 15 * MINUTE } },
+  register: { ip: { max: 5, windowMs: HOUR } },
+  // Requests that send an email (password reset, verification)
+  'auth-email': { ip: { max: 5, windowMs: HOUR } },
+  // Requests that check a token (refresh, email verification, password reset)
+  'auth-token': { ip: { max: 30, windowMs: 15 * MINUTE } },
+  like: { user: { max: 60, windowMs: MINUTE }, ip: { max: 300, windowMs: MINUTE } },
+  comment: { user: { max: 10, windowMs: MINUTE }, ip: { max: 60, windowMs: MINUTE } },
+  follow: { user: { max: 30, windowMs: MINUTE } },
+  upload: { user: { max: 30, windowMs: HOUR } },
+  search: { user: { max: 60, windowMs: MINUTE } },
+  report: { user: { max: 20, windowMs: HOUR } },
+  // Chat messages, over HTTP and Socket.IO alike
+  message: { user: { max: 30, windowMs: 10 * SECOND } },
+  reaction: { user: { max: 30, windowMs: 10 * SECOND } },
+  typing: { user: { max: 20, windowMs: 10 * SECOND } }
+};
+
+// Failed logins for one account before it is locked. The first lock lasts
+// LOCKOUT_BASE_MS and each further failure doubles it, up to LOCKOUT_MAX_MS.
+const LOCKOUT_AFTER = 5;
+const LOCKOUT_BASE_MS = MINUTE;
+const LOCKOUT_MAX_MS = HOUR;
+// Failures older than this are forgotten
+const LOGIN_FAILURE_WINDOW_MS = 24 * HOUR;
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+// Count a request against limit `name` for the client. Resolves to null if
+// it is allowed, or { retryAfter } (seconds) if it is over the limit.
+// A store that is down lets everything through rather than failing requests.
+async function consume(name, { ip, userId }) {
+  const limit = LIMITS[name];
+  if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+  const buckets = [];
+  if (limit.ip && ip) buckets.push([`${name}:ip:${ip}`, limit.ip]);
+  if (limit.user && userId) buckets.push([`${name}:user:${userId}`, limit.user]);
+
+  try {
+    const store = getRateLimitStore();
+    let retryAfter = 0;
+    for (const [key, { max, windowMs }] of buckets) {
+      const { count, resetAt } = await store.hit(key, windowMs);
+      if (count > max) retryAfter = Math.max(retryAfter, secondsUntil(resetAt));
+    }
+    return retryAfter ? { retryAfter } : null;
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+    return null;
+  }
+}
+
+// For Socket.IO handlers: resolves to null, or the error to ack with
+function limitSocketEvent(socket, name) {
+  return consume(name, { ip: socket.handshake.address, userId: socket.userId })
+    .then(limited => limited && {
+      error: 'Too many requests, slow down',
+      code: 'RATE_LIMITED',
+      retryAfter: limited.retryAfter
+    });
+}
+
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// Seconds until a locked account may try to log in again, or null
+async function loginLockedFor(email) {
+  try {
+    const lock = await getRateLimitStore().get(`login-lock:${accountKey(email)}`);
+    return lock ? secondsUntil(lock.resetAt) : null;
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+    return null;
+  }
+}
+
+// Count a failed login; locks the account once there have been too many.
+// Resolves to the lock length in seconds, or null if it isn't locked.
+async function recordLoginFailure(email) {
+  const account = accountKey(email);
+  try {
+    const store = getRateLimitStore();
+    const { count } = await store.hit(`login-fail:${account}`, LOGIN_FAILURE_WINDOW_MS);
+    if (count < LOCKOUT_AFTER) return null;
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_AFTER), LOCKOUT_MAX_MS);
+    // Start the lock afresh rather than extending one that is still running
+    await store.reset(`login-lock:${account}`);
+    const lock = await store.hit(`login-lock:${account}`, lockMs);
+    return secondsUntil(lock.resetAt);
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+    return null;
+  }
+}
+
+async function clearLoginFailures(email) {
+  const account = accountKey(email);
+  try {
+    const store = getRateLimitStore();
+    await store.reset(`login-fail:${account}`);
+    await store.reset(`login-lock:${account}`);
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+  }
+}
+
+module.exports = {
+  LIMITS,
+  consume,
+  limitSocketEvent,
+  loginLockedFor,
+  recordLoginFailure,
+  clearLoginFailures
+};
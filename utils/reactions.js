@@ -0,0 +1,78 @@
+// Emoji reactions on chat messages, shared by the REST routes and the socket event.
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const notify = require('./notify');
+const { conversationRoom } = require('./chat');
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Exactly one emoji (skin tones, flags and ZWJ sequences count as one)
+function isSingleEmoji(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 32) return false;
+  if ([...segmenter.segment(value)].length !== 1) return false;
+  return /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value);
+}
+
+// Set (emoji) or clear (emoji = null) the user's reaction on a message,
+// broadcast the change to the conversation and push to the message's author
+// (or, in a direct chat, to the other person).
+// Resolves to { reactions } on success, or { status, error }.
+async function setReaction({ io, messageId, userId, emoji }) {
+  if (emoji !== null && !isSingleEmoji(emoji)) {
+    return { status: 400, error: 'Reaction must be a single emoji' };
+  }
+
+  const msg = await ChatMessage.findById(messageId);
+  if (!msg || msg.isExpired()) return { status: 404, error: 'Message not found' };
+
+  const senderId = msg.sender.toString();
+  const conversation = msg.conversation
+    ? await Conversation.findById(msg.conversation).select('type members')
+    : null;
+  const isGroup = Boolean(conversation && conversation.type === 'group');
+  const receiverId = isGroup ? null : msg.receiver.toString();
+  const participants = isGroup ? conversation.members.map(m => m.toString()) : [senderId, receiverId];
+  if (!participants.includes(userId)) {
+    return { status: 403, error: 'Not authorized' };
+  }
+
+  // One reaction per user: replace theirs in a single update, so two
+  // reactions sent at once can't both land
+  const user = new mongoose.Types.ObjectId(userId);
+  const added = emoji !== null ? [{ user, emoji, createdAt: new Date() }] : [];
+  const updated = await ChatMessage.findByIdAndUpdate(
+    msg._id,
+    [{
+      $set: {
+        reactions: {
+          $concatArrays: [
+            { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $ne: ['$$this.user', user] } } },
+            { $literal: added }
+          ]
+        }
+      }
+    }],
+    { returnDocument: 'after', updatePipeline: true }
+  );
+  if (!updated) return { status: 404, error: 'Message not found' };
+  const reactions = ChatMessage.aggregateReactions(updated.reactions);
+
+  io.to(isGroup ? participants : conversationRoom(senderId, receiverId))
+    .emit('message-reaction', { messageId: msg._id, userId, emoji, reactions });
+
+  const otherId = userId === senderId ? receiverId : senderId;
+  if (emoji !== null && otherId && otherId !== userId) {
+    const reactor = await User.findById(userId).select('username');
+    await notify(io, { recipient: otherId, sender: userId, type: 'reaction', conversation: msg.conversation }, {
+      title: `${emoji} New Reaction`,
+      body: `${reactor.username} reacted ${emoji} to your message`,
+      data: { url: isGroup ? `/chat/group/${conversation._id}` : `/chat/${userId}` }
+    });
+  }
+
+  return { reactions };
+}
+
+module.exports = { isSingleEmoji, setReaction };
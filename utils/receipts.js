@@ -0,0 +1,83 @@
+// Delivery and read receipts for direct messages. Group conversations track
+// how far each member has read instead (see markConversationRead).
+const ChatMessage = require('../models/ChatMessage');
+
+// How long a recipient's sockets get to acknowledge `new-message`
+const DELIVERY_ACK_TIMEOUT_MS = 10 * 1000;
+
+// Tell each sender which of their messages changed, as { messageIds, ... }
+function emitToSenders(io, messages, event, payload) {
+  const bySender = new Map();
+  messages.forEach(msg => {
+    const senderId = msg.sender.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(msg._id);
+  });
+  bySender.forEach((messageIds, senderId) => {
+    io.to(senderId).emit(event, { ...payload, messageIds });
+  });
+}
+
+// Mark messages sent to `receiverId` (and matching `filter`) as delivered
+// and emit `message-delivered` to their senders. Resolves to the IDs marked.
+async function markDelivered(io, receiverId, filter = {}) {
+  const pending = await ChatMessage.find({
+    ...filter,
+    receiver: receiverId,
+    delivered: false,
+    ...ChatMessage.notExpired()
+  }).select('sender');
+  if (pending.length === 0) return [];
+
+  const deliveredAt = new Date();
+  const ids = pending.map(m => m._id);
+  await ChatMessage.updateMany(
+    { _id: { $in: ids }, delivered: false },
+    { $set: { delivered: true, deliveredAt } }
+  );
+  emitToSenders(io, pending, 'message-delivered', { receiverId, deliveredAt });
+  return ids;
+}
+
+// Mark messages sent to `readerId` (and matching `filter`) as read. Reading
+// implies delivery, so undelivered ones get a deliveredAt too. Emits
+// `messages-read` to their senders and resolves to the IDs marked.
+async function markRead(io, readerId, filter = {}) {
+  const unread = await ChatMessage.find({
+    ...filter,
+    receiver: readerId,
+    read: false,
+    ...ChatMessage.notExpired()
+  }).select('sender');
+  if (unread.length === 0) return [];
+
+  const readAt = new Date();
+  const ids = unread.map(m => m._id);
+  await ChatMessage.updateMany({ _id: { $in: ids }, read: false }, [{
+    $set: {
+      read: true,
+      readAt,
+      delivered: true,
+      deliveredAt: { $ifNull: ['$deliveredAt', readAt] }
+    }
+  }], { updatePipeline: true });
+  emitToSenders(io, unread, 'messages-read', { readerId, readAt, count: ids.length });
+  return ids;
+}
+
+// Emit a new direct message to the receiver's sockets and mark it delivered
+// as soon as one of them acknowledges it
+function emitWithDeliveryAck(io, receiverId, msg) {
+  io.timeout(DELIVERY_ACK_TIMEOUT_MS).to(receiverId).emit('new-message', msg, (err, responses) => {
+    // err only means some sockets didn't answer in time; any answer counts
+    if (!responses || responses.length === 0) return;
+    markDelivered(io, receiverId, { _id: msg._id })
+      .catch(deliveryErr => console.error('Delivery receipt error:', deliveryErr));
+  });
+}
+
+module.exports = {
+  markDelivered,
+  markRead,
+  emitWithDeliveryAck
+};
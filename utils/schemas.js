@@ -0,0 +1,133 @@
+// Zod schemas for request input: building blocks, and the payloads shared by
+// HTTP routes and Socket.IO events. Route-specific schemas live next to their
+// route (see middleware/validate.js).
+const { z } = require('zod');
+const { errorBody, zodFields, validationError } = require('./errors');
+const { MAX_PAGE_SIZE } = require('./feed');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CAPTION_LENGTH = 2200;
+
+// "Required" rather than Zod's "expected string, received undefined"
+z.config({
+  customError: (issue) => (issue.code === 'invalid_type' && issue.input === undefined ? 'Required' : undefined)
+});
+
+// Lowercased so it compares equal to ObjectId#toString()
+const objectId = z.string().toLowerCase().regex(/^[a-f\d]{24}$/, 'Not a valid ID');
+
+// Same characters @mentions can refer to (see utils/entities.js)
+const username = z.string().trim()
+  .min(3, 'Username must be at least 3 characters')
+  .max(30, 'Username must be at most 30 characters')
+  .regex(/^[A-Za-z0-9_.]+$/, 'Username may only contain letters, numbers, _ and .');
+
+// A username in a URL. Not held to the sign-up rules above: accounts made
+// before them must stay reachable.
+const usernameParam = z.string().min(1).max(100, 'Not a valid username');
+
+const email = z.string().trim().toLowerCase().pipe(z.email('Not a valid email address'));
+
+const password = z.string()
+  .min(6, 'Password must be at least 6 characters')
+  .max(128, 'Password must be at most 128 characters');
+
+// Query string flags and numbers arrive as strings. Read page sizes with
+// parseLimit (utils/feed.js), which supplies the default.
+const limit = z.coerce.number({ error: 'Must be a number' })
+  .int('Must be a whole number')
+  .min(1, 'Must be at least 1')
+  .max(MAX_PAGE_SIZE, `Must be at most ${MAX_PAGE_SIZE}`)
+  .optional();
+
+// An opaque pagination cursor, read with `decode` (e.g. decodeCursor in
+// utils/feed.js, which returns null for one it can't read). The route gets
+// the decoded value.
+function cursor(decode) {
+  return z.string().transform((value, ctx) => {
+    const decoded = decode(value);
+    if (decoded === null) {
+      ctx.addIssue({ code: 'custom', message: 'Invalid cursor' });
+      return z.NEVER;
+    }
+    return decoded;
+  }).optional();
+}
+
+const chatText = z.string().trim().max(MAX_MESSAGE_LENGTH, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+
+const commentText = z.string().trim()
+  .min(1, 'Comment text is required')
+  .max(1000, 'Comment cannot exceed 1000 characters');
+
+const caption = z.string().max(MAX_CAPTION_LENGTH, `Captions are limited to ${MAX_CAPTION_LENGTH} characters`);
+
+// Who a message goes to: a user ({ receiverId }) or a conversation
+// ({ conversationId }), never both
+const messageTarget = {
+  receiverId: objectId.optional(),
+  conversationId: objectId.optional(),
+  replyTo: objectId.nullish()
+};
+const oneTarget = [
+  data => Boolean(data.receiverId) !== Boolean(data.conversationId),
+  { message: 'Give either receiverId or conversationId', path: ['receiverId'] }
+];
+
+const sendMessage = z.object({
+  ...messageTarget,
+  message: chatText.min(1, 'Message is required')
+}).refine(...oneTarget);
+
+// The fields sent along with a chat attachment; the text is optional
+const sendAttachment = z.object({
+  ...messageTarget,
+  message: chatText.default('')
+}).refine(...oneTarget);
+
+const reaction = z.object({
+  messageId: objectId,
+  emoji: z.string().max(32).nullish()
+});
+
+const typing = z.object({
+  partnerId: objectId.optional(),
+  conversationId: objectId.optional(),
+  isTyping: z.boolean()
+}).refine(data => Boolean(data.partnerId) !== Boolean(data.conversationId), {
+  message: 'Give either partnerId or conversationId',
+  path: ['partnerId']
+});
+
+const joinConversation = z.object({ partnerId: objectId });
+
+// For Socket.IO handlers: resolves `data` against `schema` to { data }, or
+// { error } holding the error envelope to ack with
+function parsePayload(schema, data) {
+  const result = schema.safeParse(data === undefined ? {} : data);
+  if (result.success) return { data: result.data };
+  const { message, code, fields } = validationError(zodFields(result.error));
+  return { error: errorBody(message, code, fields) };
+}
+
+module.exports = {
+  z,
+  MAX_MESSAGE_LENGTH,
+  MAX_CAPTION_LENGTH,
+  objectId,
+  username,
+  usernameParam,
+  email,
+  password,
+  limit,
+  cursor,
+  chatText,
+  commentText,
+  caption,
+  sendMessage,
+  sendAttachment,
+  reaction,
+  typing,
+  joinConversation,
+  parsePayload
+};
@@ -0,0 +1,168 @@
+// Search over users (username and bio), photo captions and hashtags.
+// Queries never reach MongoDB as a pattern: prefix matches use an escaped,
+// anchored regex on an indexed lowercase field, and everything else goes
+// through the text indexes on User and Photo.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const Hashtag = require('../models/Hashtag');
+const { TAG_NAME } = require('./entities');
+const { hiddenUserIds } = require('./privacy');
+const { photoCardProjection, globalFeedFilter } = require('./feed');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+// Relevance-ranked results are paged by offset; deeper pages aren't worth the cost
+const MAX_OFFSET = 500;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Trimmed, whitespace-collapsed query, or null if it is too short to search
+function normalizeQuery(q) {
+  if (typeof q !== 'string') return null;
+  const query = q.trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+  return query.length >= MIN_QUERY_LENGTH ? query : null;
+}
+
+// Search cursors are opaque offsets into the ranked results
+function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+// Returns the offset, or null if the cursor is missing or malformed
+function decodeOffsetCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(o) && o >= 0 && o <= MAX_OFFSET ? o : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function page(results, offset, limit) {
+  const hasMore = results.length > limit && offset + limit < MAX_OFFSET;
+  return {
+    results: results.slice(0, limit),
+    nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null
+  };
+}
+
+// Users the viewer may find: everyone except themselves and anyone blocked
+// either way. Private accounts are listed (their profile says they're private).
+async function userVisibilityFilter(viewerId) {
+  const hidden = await hiddenUserIds(viewerId);
+  return { _id: { $ne: new mongoose.Types.ObjectId(viewerId), $nin: hidden } };
+}
+
+// Fill in usernameLower for accounts saved before it existed, so prefix
+// search (here and in the admin user list) finds them. Run at startup and by
+// the search migration; resolves to the number of users updated.
+async function backfillUsernameLower() {
+  const result = await User.collection.updateMany(
+    { usernameLower: { $exists: false } },
+    [{ $set: { usernameLower: { $toLower: '$username' } } }]
+  );
+  return result.modifiedCount;
+}
+
+// Usernames starting with the query, an exact match first and then the most
+// followed, followed by full-text matches on username and bio
+async function searchUsers(viewerId, query, { offset = 0, limit }) {
+  const visible = await userVisibilityFilter(viewerId);
+  const lower = query.toLowerCase();
+  const prefix = { $regex: `^${escapeRegex(lower)}` };
+  const prefixFilter = { ...visible, usernameLower: prefix };
+
+  const [prefixMatches, prefixTotal] = await Promise.all([
+    User.aggregate([
+      { $match: prefixFilter },
+      {
+        $addFields: {
+          exact: { $eq: ['$usernameLower', lower] },
+          followersCount: { $size: { $ifNull: ['$followers', []] } }
+        }
+      },
+      { $sort: { exact: -1, followersCount: -1, usernameLower: 1, _id: 1 } },
+      { $skip: offset },
+      { $limit: limit + 1 },
+      { $project: { username: 1, profilePic: 1, bio: 1, isPrivate: 1, followersCount: 1 } }
+    ]),
+    User.countDocuments(prefixFilter)
+  ]);
+
+  let results = prefixMatches;
+  if (results.length <= limit) {
+    const textMatches = await User.aggregate([
+      { $match: { $text: { $search: query }, ...visible, usernameLower: { $not: prefix } } },
+      { $sort: { score: { $meta: 'textScore' }, _id: 1 } },
+      { $skip: Math.max(offset - prefixTotal, 0) },
+      { $limit: limit + 1 - results.length },
+      {
+        $project: {
+          username: 1,
+          profilePic: 1,
+          bio: 1,
+          isPrivate: 1,
+          followersCount: { $size: { $ifNull: ['$followers', []] } }
+        }
+      }
+    ]);
+    results = results.concat(textMatches);
+  }
+  return page(results, offset, limit);
+}
+
+// Photos whose caption matches, best match first, limited to what the viewer
+// could see in the public feed
+async function searchPhotos(viewerId, query, { offset = 0, limit }) {
+  const visible = await globalFeedFilter(viewerId);
+  const photos = await Photo.aggregate([
+    { $match: { $text: { $search: query }, ...visible, hiddenAt: null } },
+    { $sort: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 } },
+    { $skip: offset },
+    { $limit: limit + 1 },
+    { $project: photoCardProjection(viewerId) }
+  ]);
+  await Photo.populate(photos, { path: 'user', select: 'username profilePic' });
+  return page(photos, offset, limit);
+}
+
+// Hashtags starting with the query (a leading '#' is ignored), most used first
+async function searchTags(query, { offset = 0, limit }) {
+  const name = query.replace(/^#/, '').toLowerCase();
+  if (!TAG_NAME.test(name)) return { results: [], nextCursor: null };
+  const tags = await Hashtag.find({ name: { $regex: `^${name}` }, count: { $gt: 0 } })
+    .sort({ count: -1, name: 1 })
+    .skip(offset)
+    .limit(limit + 1)
+    .select('name count -_id');
+  return page(tags, offset, limit);
+}
+
+const SEARCH_TYPES = ['users', 'photos', 'tags'];
+
+// Run the search for each of `types`. Resolves to
+// { [type]: { results, nextCursor } }.
+async function search(viewerId, query, types, options) {
+  const groups = await Promise.all(types.map(type => {
+    if (type === 'users') return searchUsers(viewerId, query, options);
+    if (type === 'photos') return searchPhotos(viewerId, query, options);
+    return searchTags(query, options);
+  }));
+  return Object.fromEntries(types.map((type, i) => [type, groups[i]]));
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  escapeRegex,
+  backfillUsernameLower,
+  normalizeQuery,
+  decodeOffsetCursor,
+  search,
+  searchUsers,
+  searchPhotos,
+  searchTags
+};
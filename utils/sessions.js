@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(session) {
+  return jwt.sign(
+    { userId: session.user.toString(), sessionId: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens look like `<sessionId>.<secret>`; only the secret's hash is stored
+function newRefreshSecret() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function clientInfo(req) {
+  return {
+    device: (req.get('user-agent') || 'Unknown device').substring(0, 200),
+    ip: req.ip || null
+  };
+}
+
+// Start a new session for `user` and return its token pair
+async function createSession(user, req) {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { token: signAccessToken(session), refreshToken: `${session.id}.${secret}` };
+}
+
+// Exchange a refresh token for a new token pair. Returns null if the token
+// is unknown, expired or revoked. Replaying an already-rotated token revokes
+// the whole session, since it means the token was copied.
+async function rotateSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return null;
+
+  // Swap the token in one update so each refresh token works exactly once,
+  // even when two requests present it at the same moment
+  const hash = hashToken(secret);
+  const nextSecret = newRefreshSecret();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...clientInfo(req)
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!session) {
+    // Only a token that was already rotated out counts as reuse
+    const reused = await Session.exists({ _id: sessionId, previousTokenHash: hash, revokedAt: null });
+    if (reused) await revokeSessions(req.app.get('socketio'), { _id: sessionId });
+    return null;
+  }
+
+  return { token: signAccessToken(session), refreshToken: `${session.id}.${nextSecret}` };
+}
+
+// Verify an access token and check its session is still live.
+// Resolves to { userId, sessionId }; throws if the token must be rejected.
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sessionId) throw new Error('Token has no session');
+
+  const active = await Session.exists({
+    _id: decoded.sessionId,
+    user: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!active) throw new Error('Session has been revoked');
+
+  return { userId: decoded.userId, sessionId: decoded.sessionId };
+}
+
+// Revoke every live session matching `filter` and disconnect its sockets.
+// Returns the number of sessions revoked.
+async function revokeSessions(io, filter) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(s => s._id);
+  await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date() } });
+
+  if (io) {
+    ids.forEach(id => io.in(`session:${id}`).disconnectSockets(true));
+  }
+  return ids.length;
+}
+
+// Resolves to null if `user` may sign in, otherwise to the
+// { status, error, code, ... } to reject the request with
+function suspensionError(user) {
+  const reason = user.suspensionReason || null;
+  if (user.bannedAt) {
+    return { status: 403, error: 'This account has been banned', code: 'ACCOUNT_BANNED', reason };
+  }
+  if (user.isSuspended()) {
+    return {
+      status: 403,
+      error: 'This account has been suspended',
+      code: 'ACCOUNT_SUSPENDED',
+      suspendedUntil: user.suspendedUntil,
+      reason
+    };
+  }
+  return null;
+}
+
+// Like suspensionError, by ID: suspended and banned accounts are turned away
+// even while they still hold a valid token
+async function accountAccessError(userId) {
+  const user = await User.findById(userId).select('suspendedUntil bannedAt suspensionReason');
+  if (!user) return { status: 401, error: 'Token is not valid', code: 'UNAUTHORIZED' };
+  return suspensionError(user);
+}
+
+module.exports = {
+  suspensionError,
+  accountAccessError,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  revokeSessions
+};
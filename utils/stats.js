@@ -0,0 +1,62 @@
+// Platform numbers for the admin dashboard (see routes/admin.js).
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const ChatMessage = require('../models/ChatMessage');
+const Report = require('../models/Report');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Map of 'YYYY-MM-DD' => documents of `Model` matching `filter` created that
+// UTC day, for days since `since`
+async function countPerDay(Model, since, filter = {}) {
+  const rows = await Model.aggregate([
+    { $match: { ...filter, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id, row.count]));
+}
+
+// Signups, posts and messages (notices like "alice added bob" don't count)
+// for each of the last `days` UTC days, oldest first and today included,
+// plus running totals
+async function platformStats(days) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+  const now = new Date();
+
+  const [signups, posts, messages, users, photos, messageTotal, suspended, banned, openReports] = await Promise.all([
+    countPerDay(User, since),
+    countPerDay(Photo, since),
+    countPerDay(ChatMessage, since, { system: null }),
+    User.estimatedDocumentCount(),
+    Photo.estimatedDocumentCount(),
+    ChatMessage.estimatedDocumentCount(),
+    User.countDocuments({ bannedAt: null, suspendedUntil: { $gt: now } }),
+    User.countDocuments({ bannedAt: { $ne: null } }),
+    Report.countDocuments({ status: 'open' })
+  ]);
+
+  const perDay = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    perDay.push({
+      date,
+      signups: signups.get(date) || 0,
+      posts: posts.get(date) || 0,
+      messages: messages.get(date) || 0
+    });
+  }
+
+  return {
+    days: perDay,
+    totals: { users, photos, messages: messageTotal, suspended, banned, openReports }
+  };
+}
+
+module.exports = { platformStats };
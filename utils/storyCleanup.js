@@ -0,0 +1,37 @@
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const deleteMedia = require('./deleteMedia');
+
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Delete the given stories with their media and view records
+async function removeStories(stories) {
+  if (stories.length === 0) return;
+  const ids = stories.map(s => s._id);
+  await deleteMedia(stories.map(s => s.media && s.media.publicId));
+  await StoryView.deleteMany({ story: { $in: ids } });
+  await Story.deleteMany({ _id: { $in: ids } });
+}
+
+// Remove every story past its expiry. Resolves to the number removed.
+async function deleteExpiredStories() {
+  const expired = await Story.find({ expiresAt: { $lte: new Date() } })
+    .select('media.publicId')
+    .limit(500);
+  await removeStories(expired);
+  return expired.length;
+}
+
+function startStoryCleanup(intervalMs = CLEANUP_INTERVAL_MS) {
+  const run = () => deleteExpiredStories()
+    .then(count => {
+      if (count > 0) console.log(`🧹 Removed ${count} expired stories`);
+    })
+    .catch(err => console.error('Story cleanup error:', err));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { removeStories, deleteExpiredStories, startStoryCleanup };
@@ -0,0 +1,11 @@
+// The web-push client, configured once with the VAPID keys from the
+// environment (generate a pair with generate-vapid-keys.js)
+const webpush = require('web-push');
+
+webpush.setVapidDetails(
+  process.env.VAPID_SUBJECT,
+  process.env.VAPID_PUBLIC_KEY,
+  process.env.VAPID_PRIVATE_KEY
+);
+
+module.exports = webpush;